@@ -0,0 +1,836 @@
+/* global browser */
+
+// Single source of truth for stored settings, plan and trial state. The popup
+// and content scripts never touch storage.local directly; they send SSE_* messages
+// here, and everything that is written goes through the sanitizers in shared.js.
+
+function asObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
+
+async function readLocal(keys) {
+  try {
+    return await browser.storage.local.get(keys);
+  } catch {
+    return {};
+  }
+}
+
+// Read-modify-write of domainSettings must not interleave (popup and hotkeys can save together).
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(fn) {
+  const run = writeQueue.then(fn, fn);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/** Random id for this install; sync stamps and device-bound licenses refer to it. */
+async function getDeviceId() {
+  const stored = await readLocal("syncDeviceId");
+  if (typeof stored.syncDeviceId === "string") return stored.syncDeviceId;
+  const id = crypto.randomUUID();
+  await browser.storage.local.set({ syncDeviceId: id });
+  return id;
+}
+
+/** Bring stored data written by older versions in line with the current sanitizers. */
+async function migrateStorage() {
+  const stored = await readLocal([
+    "settingsVersion",
+    "domainSettings",
+    "unmigratedDomainSettings",
+    "myMix",
+    "userPresets",
+    "presetPins",
+    "hotkeys",
+    "isPro",
+  ]);
+  const version = Number(stored.settingsVersion) || 1;
+  if (version >= SETTINGS_VERSION) return;
+
+  const domainSettings = {};
+  // Keys that don't parse as a rule are set aside untouched rather than deleted.
+  const unmigratedDomainSettings = { ...asObject(stored.unmigratedDomainSettings) };
+  for (const [key, raw] of Object.entries(asObject(stored.domainSettings))) {
+    // Older keys are plain hostnames, which are already valid exact-host rules.
+    const pattern = normalizeRulePattern(key);
+    if (!pattern) {
+      unmigratedDomainSettings[key] = raw;
+      continue;
+    }
+    // Keep Pro-only values; gating is applied when settings are read for a plan.
+    domainSettings[pattern] = sanitizeSettings(raw, true);
+  }
+  const userPresets = sanitizeUserPresets(stored.userPresets);
+  // The single "My Mix" became the first named preset.
+  if (stored.myMix && typeof stored.myMix === "object" && !userPresets[LEGACY_MIX_PRESET_ID]) {
+    userPresets[LEGACY_MIX_PRESET_ID] = presetFromLegacyMix(stored.myMix);
+  }
+  const next = {
+    settingsVersion: SETTINGS_VERSION,
+    domainSettings,
+    userPresets,
+    presetPins: sanitizePresetPins(stored.presetPins),
+  };
+  if (stored.hotkeys) {
+    const hotkeys = sanitizeHotkeys(stored.hotkeys);
+    for (const [action, combo] of Object.entries(LEGACY_DEFAULT_HOTKEYS)) {
+      if (version < 6 && hotkeys[action] === combo) hotkeys[action] = DEFAULT_HOTKEYS[action];
+    }
+    next.hotkeys = hotkeys;
+  }
+  if (Object.keys(unmigratedDomainSettings).length) next.unmigratedDomainSettings = unmigratedDomainSettings;
+  // Beta testers had Pro from that flag; the License tab asks them to re-activate.
+  if (stored.isPro === true) next.betaProEnded = true;
+  try {
+    await browser.storage.local.set(next);
+    // "isPro" was a plain flag; Pro now comes from a signed license (license.js).
+    await browser.storage.local.remove(["myMix", "isPro"]);
+  } catch {
+    // ignore
+  }
+}
+
+const ready = enqueueWrite(migrateStorage);
+
+async function getPlanState() {
+  const [trial, license] = await Promise.all([getTrialState(), getLicenseState()]);
+  const isPro = license.active;
+  return {
+    isPro,
+    trialStartTime: trial.startedAt,
+    // Playback time left; only goes down while media plays.
+    trialRemainingMs: trial.remainingMs,
+    // No new trial can start here.
+    trialUsed: trial.used,
+    // Set until the popup acknowledges it with SSE_TRIAL_ACKNOWLEDGE.
+    trialExpired: Boolean(trial.startedAt) && trial.remainingMs === 0 && !trial.acknowledged,
+    licenseStatus: license.status,
+    effectivePro: isPro || trial.remainingMs > 0,
+  };
+}
+
+function isExtensionPage(sender) {
+  return typeof sender.url === "string" && sender.url.startsWith(browser.runtime.getURL(""));
+}
+
+// The only messages a content script (i.e. a web page's frame) may send.
+const CONTENT_SCRIPT_MESSAGES = new Set([
+  "SSE_PLAN_GET",
+  "SSE_SETTINGS_GET",
+  "SSE_SETTINGS_SET",
+  "SSE_HOTKEYS_GET",
+  "SSE_HOTKEY_FORWARD",
+  "SSE_SILENCE_SAVED",
+  "SSE_TRIAL_USAGE",
+  "SSE_RAMP_PROGRESS",
+]);
+
+// Pages report skip-silence savings every 15 s; anything far beyond that is bogus.
+const SILENCE_REPORT_MAX_MS = 10 * 60 * 1000;
+
+/** Content scripts get the tab's page (even in cross-origin frames); extension pages name it. */
+function pageForMessage(m, sender) {
+  if (!isExtensionPage(sender)) return sender.tab ? parsePageUrl(sender.tab.url || sender.url || "") : null;
+  return typeof m.url === "string" ? parsePageUrl(m.url) : null;
+}
+
+/** The tab a message is about: a content script's own tab, or the one an extension page names. */
+function tabIdForMessage(m, sender) {
+  if (!isExtensionPage(sender)) return sender.tab ? sender.tab.id : null;
+  return Number.isInteger(m.tabId) ? m.tabId : null;
+}
+
+async function loadDomainSettings() {
+  const stored = await readLocal("domainSettings");
+  return asObject(stored.domainSettings);
+}
+
+async function loadUserPresets() {
+  const stored = await readLocal("userPresets");
+  return sanitizeUserPresets(stored.userPresets);
+}
+
+async function loadPresetPins() {
+  const stored = await readLocal("presetPins");
+  return sanitizePresetPins(stored.presetPins);
+}
+
+/**
+ * The preset pinned to this page's host, when no site rule is more relevant:
+ * a pin replaces the global defaults but never a rule saved for the site itself.
+ */
+async function pinnedPresetFor(page, rule) {
+  if (rule && rule !== GLOBAL_RULE) return null;
+  const [pins, presets] = await Promise.all([loadPresetPins(), loadUserPresets()]);
+  const id = pins[page.hostname.toLowerCase()];
+  return id && presets[id] ? { id, ...presets[id] } : null;
+}
+
+// How far each host's speed ramp has got, as hostname → speed. Kept out of the
+// rules, so a site ramping on the global defaults or a pinned preset doesn't get
+// a rule of its own, and in storage.local only, like ruleLastApplied.
+async function loadRampProgress() {
+  const stored = await readLocal("rampProgress");
+  return asObject(stored.rampProgress);
+}
+
+/** `settings` with this host's ramp progress; rules and presets don't carry any of their own. */
+function withRampProgress(settings, progress, page) {
+  const speed = progress[page.hostname.toLowerCase()];
+  return { ...asObject(settings), rampReachedSpeed: Number.isFinite(speed) ? speed : null };
+}
+
+/** Keep `speed` (or forget it, for null) as the host's ramp progress. */
+async function storeRampProgress(page, speed) {
+  const progress = { ...(await loadRampProgress()) };
+  const host = page.hostname.toLowerCase();
+  if (speed === null) {
+    if (!(host in progress)) return;
+    delete progress[host];
+  } else {
+    progress[host] = speed;
+  }
+  await browser.storage.local.set({ rampProgress: progress });
+}
+
+// "This tab only" settings, as tabId → { hostname, settings }. storage.session
+// keeps them for the browser session without ever touching domainSettings; an
+// override only applies while its tab stays on the same host.
+async function loadTabOverrides() {
+  try {
+    const stored = await browser.storage.session.get("tabOverrides");
+    return asObject(stored.tabOverrides);
+  } catch {
+    return {};
+  }
+}
+
+async function getTabOverride(tabId, page) {
+  if (tabId == null) return null;
+  const entry = (await loadTabOverrides())[tabId];
+  return entry && entry.hostname === page.hostname.toLowerCase() ? entry : null;
+}
+
+// What sanitizeSettings blanks on free plans.
+const PRO_ONLY_SETTINGS = ["nightMode", "pitchSemitones", "eqGains", "voiceClarity", "compressor"];
+
+/**
+ * `raw` ready to store over `previous`. Settings are stored ungated, but a free
+ * plan's popup and hotkeys only ever see the blanks, so `previous` keeps its
+ * Pro-only values then; they come back when Pro does.
+ */
+function settingsToStore(raw, previous, isPro) {
+  const settings = sanitizeSettings(raw, true);
+  if (isPro || !previous) return settings;
+  const kept = sanitizeSettings(previous, true);
+  for (const key of PRO_ONLY_SETTINGS) settings[key] = kept[key];
+  return settings;
+}
+
+function setTabOverride(tabId, page, raw) {
+  return enqueueWrite(async () => {
+    const [plan, override, all] = await Promise.all([getPlanState(), getTabOverride(tabId, page), loadDomainSettings()]);
+    const rule = resolveRule(Object.keys(all), page);
+    const pinned = await pinnedPresetFor(page, rule);
+    const previous = override ? override.settings : pinned ? pinned.settings : rule ? all[rule] : null;
+    const settings = settingsToStore(raw, previous, plan.effectivePro);
+    const overrides = await loadTabOverrides();
+    overrides[tabId] = { hostname: page.hostname.toLowerCase(), settings };
+    await browser.storage.session.set({ tabOverrides: overrides });
+    return { ok: true, tabOverride: true, settings: sanitizeSettings(settings, plan.effectivePro) };
+  });
+}
+
+function clearTabOverride(tabId) {
+  return enqueueWrite(async () => {
+    const overrides = await loadTabOverrides();
+    if (!overrides[tabId]) return;
+    delete overrides[tabId];
+    await browser.storage.session.set({ tabOverrides: overrides });
+  });
+}
+
+/**
+ * Settings for `page`. With a `tabId` that has a temporary override, `settings`
+ * is the override and `savedSettings` what the profile would give.
+ */
+async function getSettings(page, tabId) {
+  const [all, plan, progress] = await Promise.all([loadDomainSettings(), getPlanState(), loadRampProgress()]);
+  const rule = resolveRule(Object.keys(all), page);
+  const pinned = await pinnedPresetFor(page, rule);
+  const override = await getTabOverride(tabId, page);
+  const source = pinned ? pinned.settings : rule ? all[rule] : null;
+  const saved = sanitizeSettings(withRampProgress(source, progress, page), plan.effectivePro);
+  return {
+    hostname: page.hostname,
+    rule,
+    hasGlobal: Boolean(all[GLOBAL_RULE]),
+    pinnedPreset: pinned ? { id: pinned.id, name: pinned.name } : null,
+    scopes: ruleScopesForPage(page),
+    settings: override ? sanitizeSettings(override.settings, plan.effectivePro) : saved,
+    savedSettings: saved,
+    tabOverride: Boolean(override),
+    plan,
+  };
+}
+
+/** Stored rules for `page` that beat `target` there. */
+function narrowerRules(patterns, page, target) {
+  const targetScore = ruleSpecificity(parseRulePattern(target));
+  return patterns.filter((pattern) => {
+    const rule = parseRulePattern(pattern);
+    return rule && ruleMatchesPage(rule, page) && ruleSpecificity(rule) > targetScore;
+  });
+}
+
+/**
+ * Save under `scope` (default: the rule in effect, else the exact host). A site
+ * on the global defaults or a pinned preset gets its own rule: the global profile
+ * only changes when `scope` names it. More specific rules for this page are left
+ * alone and listed in `narrower`; removing them is up to the user.
+ */
+function setSettings(page, raw, scope) {
+  return enqueueWrite(async () => {
+    const [all, plan] = await Promise.all([loadDomainSettings(), getPlanState()]);
+    const resolved = resolveRule(Object.keys(all), page);
+    const pinned = await pinnedPresetFor(page, resolved);
+    let target = resolved && resolved !== GLOBAL_RULE && !pinned ? resolved : page.hostname.toLowerCase();
+    if (scope != null) {
+      const rule = parseRulePattern(scope);
+      if (!rule || !ruleMatchesPage(rule, page)) return { ok: false, reason: "bad_scope" };
+      target = formatRulePattern(rule);
+    }
+
+    // A new rule starts from what the page ran on.
+    const previous = all[target] ?? (pinned ? pinned.settings : resolved ? all[resolved] : null);
+    const settings = settingsToStore(raw, previous, plan.effectivePro);
+    await writeSyncedData({ domainSettings: { ...all, [target]: { ...settings, rampReachedSpeed: null } } });
+    // null is a restarted (or switched off) ramp.
+    await storeRampProgress(page, settings.speedRamp ? settings.rampReachedSpeed : null);
+    return {
+      ok: true,
+      rule: target,
+      settings: sanitizeSettings(settings, plan.effectivePro),
+      narrower: narrowerRules(Object.keys(all), page, target),
+    };
+  });
+}
+
+/**
+ * Remember how far a page's speed ramp has got: in the tab's temporary settings
+ * when it has them, else as the host's ramp progress.
+ */
+function setRampProgress(page, tabId, speed) {
+  return enqueueWrite(async () => {
+    const override = await getTabOverride(tabId, page);
+    if (override) {
+      const overrides = await loadTabOverrides();
+      overrides[tabId] = { ...override, settings: sanitizeSettings({ ...override.settings, rampReachedSpeed: speed }, true) };
+      await browser.storage.session.set({ tabOverrides: overrides });
+      return { ok: true };
+    }
+    const all = await loadDomainSettings();
+    const resolved = resolveRule(Object.keys(all), page);
+    const pinned = await pinnedPresetFor(page, resolved);
+    const current = sanitizeSettings(pinned ? pinned.settings : resolved ? all[resolved] : null, true);
+    if (!current.speedRamp) return { ok: false, reason: "no_ramp" };
+    // Clamped into the ramp's range by the sanitizer.
+    await storeRampProgress(page, sanitizeSettings({ ...current, rampReachedSpeed: speed }, true).rampReachedSpeed);
+    return { ok: true };
+  });
+}
+
+// When each rule last reached a page, for sorting and pruning in Options. Kept
+// in storage.local only (it changes far too often to sync) and coarse, so the
+// frames of one page load cost a single write.
+const LAST_APPLIED_RESOLUTION_MS = 10 * 60 * 1000;
+
+async function touchRule(pattern) {
+  const stored = await readLocal("ruleLastApplied");
+  if (Date.now() - (Number(asObject(stored.ruleLastApplied)[pattern]) || 0) < LAST_APPLIED_RESOLUTION_MS) return;
+  await enqueueWrite(async () => {
+    const current = asObject((await readLocal("ruleLastApplied")).ruleLastApplied);
+    await browser.storage.local.set({ ruleLastApplied: { ...current, [pattern]: Date.now() } });
+  });
+}
+
+async function listRules() {
+  const [all, stored] = await Promise.all([loadDomainSettings(), readLocal("ruleLastApplied")]);
+  const lastApplied = asObject(stored.ruleLastApplied);
+  return Object.entries(all).map(([pattern, settings]) => ({
+    pattern,
+    settings: sanitizeSettings(settings, true),
+    lastApplied: Number(lastApplied[pattern]) || null,
+  }));
+}
+
+/**
+ * Edit one rule in place; `changes` is merged over what it holds now. Pro-only
+ * values are kept on every plan: getSettings gates them for the page.
+ */
+function updateRule(pattern, changes) {
+  return enqueueWrite(async () => {
+    const all = await loadDomainSettings();
+    if (!all[pattern]) return { ok: false, reason: "no_rule" };
+    const settings = sanitizeSettings({ ...all[pattern], ...asObject(changes) }, true);
+    await writeSyncedData({ domainSettings: { ...all, [pattern]: settings } });
+    return { ok: true, settings };
+  });
+}
+
+/** Delete rules by pattern, along with their last-applied times. */
+function deleteRules(patterns) {
+  return enqueueWrite(async () => {
+    const [all, stored] = await Promise.all([loadDomainSettings(), readLocal("ruleLastApplied")]);
+    const next = { ...all };
+    for (const pattern of patterns) delete next[pattern];
+    const ruleLastApplied = {};
+    for (const [pattern, t] of Object.entries(asObject(stored.ruleLastApplied))) {
+      if (next[pattern]) ruleLastApplied[pattern] = t;
+    }
+    await writeSyncedData({ domainSettings: next, ruleLastApplied });
+    return { ok: true, deleted: Object.keys(all).length - Object.keys(next).length };
+  });
+}
+
+/** Copy one rule's settings to other patterns, creating or replacing their rules. */
+function copyRule(from, targets) {
+  const patterns = [];
+  for (const raw of targets) {
+    const pattern = normalizeRulePattern(raw);
+    if (!pattern) return Promise.resolve({ ok: false, reason: "bad_pattern", pattern: String(raw) });
+    if (pattern !== from && !patterns.includes(pattern)) patterns.push(pattern);
+  }
+  return enqueueWrite(async () => {
+    const all = await loadDomainSettings();
+    if (!all[from]) return { ok: false, reason: "no_rule" };
+    const settings = sanitizeSettings(all[from], true);
+    const next = { ...all };
+    for (const pattern of patterns) next[pattern] = settings;
+    await writeSyncedData({ domainSettings: next });
+    return { ok: true, copied: patterns };
+  });
+}
+
+/**
+ * Drop this host's own rule and its path rules that apply to `page`. Wildcard
+ * rules are shared with other hosts, so they stay; resolves the ones that still
+ * apply here, for the popup to offer.
+ */
+function clearSiteRules(page) {
+  return enqueueWrite(async () => {
+    const host = page.hostname.toLowerCase();
+    const next = { ...(await loadDomainSettings()) };
+    const shared = [];
+    for (const pattern of Object.keys(next)) {
+      const rule = parseRulePattern(pattern);
+      if (!rule || rule.global || !ruleMatchesPage(rule, page)) continue;
+      if (rule.wildcard) shared.push(pattern);
+      else if (rule.host === host) delete next[pattern];
+    }
+    await writeSyncedData({ domainSettings: next });
+    await storeRampProgress(page, null);
+    return shared;
+  });
+}
+
+async function exportBackup() {
+  const stored = await readLocal(["domainSettings", "userPresets", "presetPins", "hotkeys"]);
+  const backup = sanitizeBackup(buildBackup({
+    domainSettings: asObject(stored.domainSettings),
+    userPresets: stored.userPresets ?? {},
+    presetPins: stored.presetPins ?? {},
+    hotkeys: stored.hotkeys ?? {},
+  }));
+  return buildBackup(backup);
+}
+
+/**
+ * Merge a backup into storage. Everything in the file is taken unless `choices`
+ * says "keep" for it: choices.domains[pattern], choices.presets[id], choices.hotkeys.
+ * Pins come along with the presets they point to.
+ */
+function importBackup(raw, choices) {
+  const incoming = sanitizeBackup(raw);
+  if (!incoming) return Promise.resolve({ ok: false, reason: "invalid" });
+  const pick = asObject(choices);
+  const domainChoices = asObject(pick.domains);
+  const presetChoices = asObject(pick.presets);
+  return enqueueWrite(async () => {
+    const [domainSettings, userPresets, presetPins] = await Promise.all([
+      loadDomainSettings(),
+      loadUserPresets(),
+      loadPresetPins(),
+    ]);
+    const next = { domainSettings: { ...domainSettings } };
+    let imported = 0;
+    for (const [pattern, settings] of Object.entries(incoming.domainSettings)) {
+      if (domainChoices[pattern] === "keep") continue;
+      next.domainSettings[pattern] = settings;
+      imported++;
+    }
+    if (incoming.userPresets) {
+      next.userPresets = { ...userPresets };
+      next.presetPins = { ...presetPins };
+      for (const [id, preset] of Object.entries(incoming.userPresets)) {
+        if (presetChoices[id] === "keep") continue;
+        next.userPresets[id] = preset;
+        for (const [host, pinnedId] of Object.entries(incoming.presetPins || {})) {
+          if (pinnedId === id) next.presetPins[host] = id;
+        }
+      }
+    }
+    if (incoming.hotkeys && pick.hotkeys !== "keep") next.hotkeys = incoming.hotkeys;
+    await writeSyncedData(next);
+    return { ok: true, imported };
+  });
+}
+
+/**
+ * Apply `change` to the preset map in the write queue. `change` returns the new
+ * map, or null to reject the edit. Pins to presets that no longer exist are dropped.
+ */
+function updatePresets(change) {
+  return enqueueWrite(async () => {
+    const [presets, pins] = await Promise.all([loadUserPresets(), loadPresetPins()]);
+    const next = change(presets);
+    if (!next) return { ok: false, reason: "invalid" };
+    const presetPins = {};
+    for (const [host, id] of Object.entries(pins)) {
+      if (next[id]) presetPins[host] = id;
+    }
+    await writeSyncedData({ userPresets: sanitizeUserPresets(next), presetPins });
+    return { ok: true, presets: listUserPresets(next) };
+  });
+}
+
+/**
+ * updatePresets for changes that need Pro: making and editing presets. Applying,
+ * pinning and deleting them stay open to every plan, so nothing is stuck once Pro ends.
+ */
+async function updatePresetsWithPro(change) {
+  if (!(await getPlanState()).effectivePro) return { ok: false, reason: "not_pro" };
+  return updatePresets(change);
+}
+
+// Hotkeys pressed in a frame without media (the page around an embedded player)
+// go to the frame that has some, as tabId → { frameId, at }. Kept for
+// MEDIA_FRAME_RECHECK_MS, so a held arrow key doesn't ping every frame each time.
+const mediaFrames = new Map();
+
+/** The tab's frame with playing media, else with any media; null when there is none. */
+async function findMediaFrame(tabId) {
+  const cached = mediaFrames.get(tabId);
+  if (cached && Date.now() - cached.at < MEDIA_FRAME_RECHECK_MS) return cached.frameId;
+  let frameIds = [0];
+  try {
+    const frames = await browser.webNavigation.getAllFrames({ tabId });
+    if (Array.isArray(frames) && frames.length > 0) frameIds = frames.map((f) => f.frameId);
+  } catch {
+    // ignore
+  }
+  const pings = await Promise.all(
+    frameIds.map(async (frameId) => {
+      try {
+        const res = await browser.tabs.sendMessage(tabId, { type: "SSE_PING" }, { frameId });
+        return res && typeof res === "object" ? { ...res, frameId } : null;
+      } catch {
+        return null;
+      }
+    })
+  );
+  const found = pings.filter(Boolean);
+  const frame = found.find((f) => Number(f.playingCount) > 0) || found.find((f) => f.hasMedia) || null;
+  if (!frame) return null;
+  mediaFrames.set(tabId, { frameId: frame.frameId, at: Date.now() });
+  return frame.frameId;
+}
+
+const handlers = {
+  async SSE_PLAN_GET() {
+    return { ok: true, plan: await getPlanState() };
+  },
+
+  async SSE_SETTINGS_GET(m, sender) {
+    const page = pageForMessage(m, sender);
+    if (!page) return { ok: false, reason: "no_hostname" };
+    const res = await getSettings(page, tabIdForMessage(m, sender));
+    // Only a page actually loading its settings counts as use, not the popup peeking.
+    if (!isExtensionPage(sender) && res.rule && !res.pinnedPreset) void touchRule(res.rule).catch(() => {});
+    return { ok: true, ...res };
+  },
+
+  async SSE_SETTINGS_SET(m, sender) {
+    const page = pageForMessage(m, sender);
+    if (!page) return { ok: false, reason: "no_hostname" };
+    // Hotkeys in a tab running on temporary settings change those, not the profile.
+    const tabId = isExtensionPage(sender) ? null : tabIdForMessage(m, sender);
+    if (await getTabOverride(tabId, page)) return setTabOverride(tabId, page, m.settings);
+    return setSettings(page, m.settings, m.scope);
+  },
+
+  async SSE_RAMP_PROGRESS(m, sender) {
+    const page = pageForMessage(m, sender);
+    const speed = Number(m.speed);
+    if (!page || !Number.isFinite(speed)) return { ok: false, reason: "bad_request" };
+    return setRampProgress(page, tabIdForMessage(m, sender), speed);
+  },
+
+  async SSE_TAB_OVERRIDE_SET(m, sender) {
+    const page = pageForMessage(m, sender);
+    const tabId = tabIdForMessage(m, sender);
+    if (!page || tabId == null) return { ok: false, reason: "no_tab" };
+    return setTabOverride(tabId, page, m.settings);
+  },
+
+  async SSE_TAB_OVERRIDE_CLEAR(m, sender) {
+    const page = pageForMessage(m, sender);
+    const tabId = tabIdForMessage(m, sender);
+    if (!page || tabId == null) return { ok: false, reason: "no_tab" };
+    await clearTabOverride(tabId);
+    return { ok: true, ...(await getSettings(page, tabId)) };
+  },
+
+  async SSE_SETTINGS_CLEAR(m, sender) {
+    const page = pageForMessage(m, sender);
+    if (!page) return { ok: false, reason: "no_hostname" };
+    const shared = await clearSiteRules(page);
+    return { ok: true, ...(await getSettings(page, tabIdForMessage(m, sender))), shared };
+  },
+
+  async SSE_RULES_LIST() {
+    return { ok: true, rules: await listRules(), plan: await getPlanState() };
+  },
+
+  async SSE_RULES_UPDATE(m) {
+    return updateRule(String(m.pattern), m.changes);
+  },
+
+  async SSE_RULES_DELETE(m) {
+    return deleteRules(Array.isArray(m.patterns) ? m.patterns.map(String) : []);
+  },
+
+  async SSE_RULES_COPY(m) {
+    return copyRule(String(m.from), Array.isArray(m.to) ? m.to : []);
+  },
+
+  async SSE_SILENCE_SAVED(m) {
+    const ms = clampNumber(Number(m.ms), 0, SILENCE_REPORT_MAX_MS);
+    return enqueueWrite(async () => {
+      const stored = await readLocal("silenceSavedMs");
+      const silenceSavedMs = (Number(stored.silenceSavedMs) || 0) + ms;
+      await browser.storage.local.set({ silenceSavedMs });
+      return { ok: true, totalMs: silenceSavedMs };
+    });
+  },
+
+  async SSE_SILENCE_STATS_GET() {
+    const stored = await readLocal("silenceSavedMs");
+    return { ok: true, totalMs: Number(stored.silenceSavedMs) || 0 };
+  },
+
+  async SSE_TRIAL_START() {
+    return { ...(await startTrial()), plan: await getPlanState() };
+  },
+
+  async SSE_TRIAL_USAGE(m) {
+    const ms = Number(m.ms);
+    if (!Number.isFinite(ms) || ms <= 0) return { ok: false };
+    return addTrialUsage(ms);
+  },
+
+  async SSE_TRIAL_ACKNOWLEDGE() {
+    await acknowledgeTrial();
+    return { ok: true, plan: await getPlanState() };
+  },
+
+  async SSE_LICENSE_GET() {
+    const [license, plan] = await Promise.all([getLicenseState(), getPlanState()]);
+    return { ok: true, license, plan };
+  },
+
+  async SSE_LICENSE_ACTIVATE(m) {
+    const result = await activateLicense(m.key);
+    return { ...result, license: await getLicenseState(), plan: await getPlanState() };
+  },
+
+  async SSE_LICENSE_DEACTIVATE() {
+    const result = await deactivateLicense();
+    return { ...result, license: await getLicenseState(), plan: await getPlanState() };
+  },
+
+  async SSE_LICENSE_ENDPOINT_GET() {
+    return {
+      ok: true,
+      endpoint: await getLicenseEndpoint(),
+      defaultEndpoint: LICENSE_DEFAULT_ENDPOINT,
+      online: await isOnlineLicensingEnabled(),
+    };
+  },
+
+  async SSE_LICENSE_ENDPOINT_SET(m) {
+    return setLicenseEndpoint(m.endpoint);
+  },
+
+  async SSE_PRESETS_GET(m, sender) {
+    const [presets, pins] = await Promise.all([loadUserPresets(), loadPresetPins()]);
+    const page = pageForMessage(m, sender);
+    return {
+      ok: true,
+      presets: listUserPresets(presets),
+      pinnedId: page ? pins[page.hostname.toLowerCase()] ?? null : null,
+    };
+  },
+
+  async SSE_PRESET_CREATE(m) {
+    return updatePresetsWithPro((presets) => {
+      if (Object.keys(presets).length >= PRESET_MAX_COUNT) return null;
+      const list = listUserPresets(presets);
+      const preset = sanitizeUserPreset({
+        name: m.name,
+        order: list.length ? list[list.length - 1].order + 1 : 0,
+        settings: m.settings,
+      });
+      if (!preset) return null;
+      return { ...presets, [crypto.randomUUID()]: preset };
+    });
+  },
+
+  async SSE_PRESET_UPDATE(m) {
+    return updatePresetsWithPro((presets) => {
+      const current = presets[m.id];
+      if (!current) return null;
+      const preset = sanitizeUserPreset({
+        ...current,
+        name: m.name ?? current.name,
+        settings: m.settings ?? current.settings,
+      });
+      return preset ? { ...presets, [m.id]: preset } : null;
+    });
+  },
+
+  async SSE_PRESET_DUPLICATE(m) {
+    return updatePresetsWithPro((presets) => {
+      const current = presets[m.id];
+      if (!current || Object.keys(presets).length >= PRESET_MAX_COUNT) return null;
+      // Shift everything after the original down so the copy sits right below it.
+      const next = {};
+      for (const [id, preset] of Object.entries(presets)) {
+        next[id] = preset.order > current.order ? { ...preset, order: preset.order + 1 } : preset;
+      }
+      const name = `${current.name} copy`.slice(0, PRESET_NAME_MAX_LENGTH);
+      next[crypto.randomUUID()] = { ...current, name, order: current.order + 1 };
+      return next;
+    });
+  },
+
+  async SSE_PRESET_DELETE(m) {
+    return updatePresets((presets) => {
+      if (!presets[m.id]) return null;
+      const next = { ...presets };
+      delete next[m.id];
+      return next;
+    });
+  },
+
+  async SSE_PRESET_REORDER(m) {
+    const ids = Array.isArray(m.ids) ? m.ids.map(String) : [];
+    return updatePresetsWithPro((presets) => {
+      const next = { ...presets };
+      ids.filter((id) => next[id]).forEach((id, order) => {
+        next[id] = { ...next[id], order };
+      });
+      return next;
+    });
+  },
+
+  async SSE_PRESET_PIN(m, sender) {
+    const page = pageForMessage(m, sender);
+    if (!page) return { ok: false, reason: "no_hostname" };
+    return enqueueWrite(async () => {
+      const [presets, pins] = await Promise.all([loadUserPresets(), loadPresetPins()]);
+      const next = { ...pins };
+      const host = page.hostname.toLowerCase();
+      if (m.id && presets[m.id]) next[host] = m.id;
+      else delete next[host];
+      await browser.storage.local.set({ presetPins: next });
+      return { ok: true, pinnedId: next[host] ?? null };
+    });
+  },
+
+  async SSE_BACKUP_EXPORT() {
+    return { ok: true, backup: await exportBackup() };
+  },
+
+  async SSE_BACKUP_IMPORT(m) {
+    return importBackup(m.backup, m.choices);
+  },
+
+  async SSE_SYNC_GET() {
+    return { ok: true, sync: await getSyncStatus() };
+  },
+
+  async SSE_SYNC_SET(m) {
+    return { ok: true, sync: await setSyncEnabled(Boolean(m.enabled)) };
+  },
+
+  async SSE_HOTKEYS_GET() {
+    const stored = await readLocal("hotkeys");
+    return { ok: true, hotkeys: sanitizeHotkeys(stored.hotkeys) };
+  },
+
+  async SSE_HOTKEY_FORWARD(m, sender) {
+    const action = String(m.action);
+    if (!sender.tab || !Object.prototype.hasOwnProperty.call(DEFAULT_HOTKEYS, action)) return { ok: false, reason: "bad_action" };
+    const frameId = await findMediaFrame(sender.tab.id);
+    if (frameId === null || frameId === sender.frameId) return { ok: false, reason: "no_media" };
+    try {
+      const res = await browser.tabs.sendMessage(sender.tab.id, { type: "SSE_HOTKEY", action }, { frameId });
+      if (res && res.ok) return { ok: true };
+    } catch {
+      // ignore
+    }
+    // The frame navigated or lost its media; look again on the next key.
+    mediaFrames.delete(sender.tab.id);
+    return { ok: false, reason: "unreachable" };
+  },
+
+  async SSE_HOTKEYS_SET(m) {
+    const hotkeys = sanitizeHotkeys(m.hotkeys);
+    await browser.storage.local.set({ hotkeys });
+    return { ok: true, hotkeys };
+  },
+};
+
+browser.runtime.onMessage.addListener((msg, sender) => {
+  const m = msg && typeof msg === "object" ? msg : {};
+  if (sender.id !== browser.runtime.id) return undefined;
+  const handler = Object.prototype.hasOwnProperty.call(handlers, m.type) ? handlers[m.type] : null;
+  if (!handler) return undefined;
+  if (!isExtensionPage(sender) && !CONTENT_SCRIPT_MESSAGES.has(m.type)) return undefined;
+  return (async () => {
+    try {
+      await ready;
+      return await handler(m, sender);
+    } catch {
+      return { ok: false, reason: "error" };
+    }
+  })();
+});
+
+// Path rules can change which settings apply without a page load (SPA navigation),
+// so tell the tab's content scripts to resolve their rule again.
+try {
+  browser.webNavigation.onHistoryStateUpdated.addListener((details) => {
+    void browser.tabs.sendMessage(details.tabId, { type: "SSE_PAGE_CHANGED" }).catch(() => {});
+  });
+} catch {
+  // ignore
+}
+
+browser.tabs.onRemoved.addListener((tabId) => {
+  mediaFrames.delete(tabId);
+  void clearTabOverride(tabId).catch(() => {});
+});
@@ -1,93 +1,159 @@
-/* global browser */
+/* global browser, exportFunction */
 
-const DEFAULTS = Object.freeze({
-  volumeBoost: 1,
-  speed: 1,
-  nightMode: false,
-  pitchSemitones: 0,
-});
+const HOTKEY_SPEED_STEP = 0.1;
+const HOTKEY_BOOST_STEP = 0.1;
+const HOTKEY_PITCH_STEP = 1;
+
+const MEDIA_SELECTOR = "video, audio";
+
+// What we know about this site's player: its main video, ads, in-page navigation
+// and its own controls (see site-adapters.js).
+const siteAdapter = siteAdapterFor(location.hostname);
+
+const mediaDiscovery = {
+  observer: null,
+  shadowRoots: new Set(),
+};
 
-function clampNumber(value, min, max) {
-  if (!Number.isFinite(value)) return min;
-  return Math.min(max, Math.max(min, value));
+/**
+ * Every <video> and <audio> in this frame, including inside open shadow roots;
+ * all of them go through the same speed and audio paths.
+ */
+function getMediaElements() {
+  const out = Array.from(document.querySelectorAll(MEDIA_SELECTOR));
+  for (const root of mediaDiscovery.shadowRoots) {
+    if (!root.host || !root.host.isConnected) {
+      // Re-added hosts are picked up again by the observer.
+      mediaDiscovery.shadowRoots.delete(root);
+      continue;
+    }
+    out.push(...root.querySelectorAll(MEDIA_SELECTOR));
+  }
+  return out;
 }
 
-function sanitizeSettings(raw, isPro) {
-  const obj = raw && typeof raw === "object" ? raw : {};
-  const pro = Boolean(isPro);
-  const maxBoost = pro ? 6 : 3;
-  return {
-    volumeBoost: clampNumber(Number(obj.volumeBoost ?? DEFAULTS.volumeBoost), 1, maxBoost),
-    speed: clampNumber(Number(obj.speed ?? DEFAULTS.speed), 0.1, 16),
-    nightMode: pro ? Boolean(obj.nightMode ?? DEFAULTS.nightMode) : false,
-    pitchSemitones: pro
-      ? clampNumber(Number(obj.pitchSemitones ?? DEFAULTS.pitchSemitones), -12, 12)
-      : 0,
+function collectShadowRoots(root, out) {
+  const visit = (el) => {
+    if (!el.shadowRoot) return;
+    out.push(el.shadowRoot);
+    collectShadowRoots(el.shadowRoot, out);
   };
+  if (root instanceof Element) visit(root);
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  while (walker.nextNode()) visit(walker.currentNode);
+  return out;
 }
 
-function getHostname() {
-  try {
-    return window.location.hostname || null;
-  } catch {
-    return null;
+/** Like Node.contains, but crosses shadow boundaries. */
+function composedContains(ancestor, node) {
+  let n = node;
+  while (n) {
+    if (n === ancestor) return true;
+    n = n.parentNode || (n instanceof ShadowRoot ? n.host : null);
   }
+  return false;
 }
 
-const TRIAL_DURATION_MS = 15 * 60 * 1000;
+// Per-element control. Ids are stable for an element's lifetime and unique across
+// the tab's frames (a random frame prefix), so the popup can broadcast target and
+// exclude messages to every frame and only the owner reacts. With a target set,
+// every other element in every frame is left alone.
+const mediaControl = {
+  ids: new WeakMap(),
+  frameToken: Math.random().toString(36).slice(2, 10),
+  nextId: 1,
+  target: null,
+  excluded: new Set(),
+};
 
-async function loadIsPro() {
-  try {
-    const stored = await browser.storage.local.get("isPro");
-    return Boolean(stored.isPro ?? false);
-  } catch {
-    return false;
+const MEDIA_THUMB_WIDTH = 96;
+
+function mediaIdFor(el) {
+  let id = mediaControl.ids.get(el);
+  if (!id) {
+    id = `${mediaControl.frameToken}-${mediaControl.nextId++}`;
+    mediaControl.ids.set(el, id);
   }
+  return id;
 }
 
-async function loadTrialStartTime() {
+function mediaGetsSettings(el) {
+  const id = mediaIdFor(el);
+  if (mediaControl.target) return id === mediaControl.target;
+  return !mediaControl.excluded.has(id);
+}
+
+/** A small still of the current frame, or null for audio, unloaded or cross-origin video. */
+function captureMediaThumbnail(el) {
+  if (!(el instanceof HTMLVideoElement) || el.readyState < 2 || !el.videoWidth) return null;
   try {
-    const stored = await browser.storage.local.get("trialStartTime");
-    const t = stored.trialStartTime;
-    return typeof t === "number" && t > 0 ? t : null;
+    const canvas = document.createElement("canvas");
+    canvas.width = MEDIA_THUMB_WIDTH;
+    canvas.height = Math.max(1, Math.round((MEDIA_THUMB_WIDTH * el.videoHeight) / el.videoWidth));
+    canvas.getContext("2d").drawImage(el, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL("image/jpeg", 0.6);
   } catch {
     return null;
   }
 }
 
-function getTrialRemainingMs(startTime) {
-  if (!startTime) return 0;
-  const elapsed = Date.now() - startTime;
-  return Math.max(0, TRIAL_DURATION_MS - elapsed);
-}
-
-function isTrialActive(startTime) {
-  return getTrialRemainingMs(startTime) > 0;
-}
-
-async function getEffectiveIsPro() {
-  const [isPro, trialStart] = await Promise.all([loadIsPro(), loadTrialStartTime()]);
-  return isPro || isTrialActive(trialStart);
-}
-
-async function loadSettingsForHostname(hostname, isPro) {
-  const stored = await browser.storage.local.get("domainSettings");
-  const all = stored.domainSettings && typeof stored.domainSettings === "object"
-    ? stored.domainSettings
-    : {};
-  return sanitizeSettings(all[hostname], isPro);
+function listMediaItems() {
+  const main = getPrimaryMedia();
+  return getMediaElements().map((el) => {
+    const id = mediaIdFor(el);
+    const isVideo = el instanceof HTMLVideoElement;
+    return {
+      id,
+      kind: isVideo ? "video" : "audio",
+      duration: Number.isFinite(el.duration) ? el.duration : null,
+      currentTime: el.currentTime || 0,
+      playing: !el.paused && !el.ended,
+      muted: el.muted,
+      loop: el.loop,
+      width: isVideo ? el.videoWidth : 0,
+      height: isVideo ? el.videoHeight : 0,
+      thumbnail: captureMediaThumbnail(el),
+      excluded: mediaControl.excluded.has(id),
+      controlled: mediaGetsSettings(el),
+      main: el === main,
+      ad: siteAdapter.isAdPlaying(document, el),
+    };
+  });
 }
 
-function getVideos() {
-  return Array.from(document.querySelectorAll("video"));
+function describeMedia(elements) {
+  let videoCount = 0;
+  let audioCount = 0;
+  for (const el of elements) {
+    if (el instanceof HTMLVideoElement) videoCount++;
+    else audioCount++;
+  }
+  return {
+    hasMedia: videoCount + audioCount > 0,
+    hasVideo: videoCount > 0,
+    hasAudio: audioCount > 0,
+    videoCount,
+    audioCount,
+    playingCount: elements.filter((m) => !m.paused && !m.ended).length,
+  };
 }
 
 const audioEngine = {
   ctx: null,
+  worklets: null,
+  // Set once a pipeline had to be built without the pitch shifter; the popup says so.
+  pitchUnavailable: false,
   pipelines: new WeakMap(),
+  pendingPipelines: new WeakMap(),
   blockedVideos: new WeakSet(),
 };
 
+const WORKLET_MODULES = Object.freeze({
+  pitch: "pitch-shifter-worklet.js",
+  limiter: "limiter-worklet.js",
+  loudness: "loudness-worklet.js",
+});
+
 async function ensureAudioContext() {
   if (audioEngine.ctx) return audioEngine.ctx;
   const Ctx = window.AudioContext || window.webkitAudioContext;
@@ -101,14 +167,500 @@ async function ensureAudioContext() {
   return audioEngine.ctx;
 }
 
-function configureCompressor(compressor, nightMode) {
+/**
+ * Load our AudioWorklet processors once per context, each on its own so one that
+ * fails only costs its own stage. Resolves { pitch, limiter, loudness } as booleans.
+ */
+function ensureWorklets(ctx) {
+  if (audioEngine.worklets) return audioEngine.worklets;
+  audioEngine.worklets = (async () => {
+    const loaded = {};
+    const supported = Boolean(ctx.audioWorklet) && typeof AudioWorkletNode !== "undefined";
+    for (const [name, file] of Object.entries(WORKLET_MODULES)) {
+      loaded[name] = false;
+      if (!supported) continue;
+      try {
+        await ctx.audioWorklet.addModule(browser.runtime.getURL(file));
+        loaded[name] = true;
+      } catch {
+        // ignore
+      }
+    }
+    return loaded;
+  })();
+  return audioEngine.worklets;
+}
+
+function createPitchShifter(ctx) {
+  try {
+    return new AudioWorkletNode(ctx, "sse-pitch-shifter", {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      outputChannelCount: [2],
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Brick-wall limiter after the boost stage. Falls back to a fast DynamicsCompressor
+ * when its worklet is unavailable so the wet path is never left unprotected.
+ */
+function createLimiter(ctx, hasWorklet) {
+  const stats = { reductionDb: 0, overs: 0, updatedAt: 0 };
+  if (hasWorklet) {
+    try {
+      const node = new AudioWorkletNode(ctx, "sse-limiter", {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [2],
+      });
+      node.port.onmessage = (e) => {
+        const d = e.data && typeof e.data === "object" ? e.data : {};
+        stats.reductionDb = Number(d.reductionDb) || 0;
+        stats.overs = Number(d.overs) || 0;
+        stats.updatedAt = Date.now();
+      };
+      return { node, stats, isWorklet: true };
+    } catch {
+      // fall through
+    }
+  }
+  const node = ctx.createDynamicsCompressor();
+  node.knee.value = 0;
+  node.ratio.value = 20;
+  node.attack.value = 0.001;
+  node.release.value = 0.1;
+  return { node, stats, isWorklet: false };
+}
+
+function setLimiterCeiling(limiter, ceilingDb) {
+  const db = clampNumber(Number(ceilingDb), -12, 0);
+  if (limiter.isWorklet) {
+    const param = limiter.node.parameters.get("ceilingDb");
+    if (param) param.value = db;
+  } else {
+    limiter.node.threshold.value = db;
+  }
+}
+
+/** Latest limiter activity: gain reduction (dB, ≤ 0) and whether samples had to be clamped. */
+function readLimiterStats(limiter) {
+  if (!limiter.isWorklet) {
+    return { reductionDb: readCompressorReduction(limiter.node), clipping: false };
+  }
+  // Worklet reports every 50 ms; treat older numbers as silence.
+  const fresh = Date.now() - limiter.stats.updatedAt < 250;
+  return {
+    reductionDb: fresh ? Math.min(0, limiter.stats.reductionDb) : 0,
+    clipping: fresh && limiter.stats.overs > 0,
+  };
+}
+
+const AUTO_GAIN_TICK_MS = 200;
+const AUTO_GAIN_MIN_DB = -24;
+const AUTO_GAIN_RISE_DB_PER_S = 1;
+const AUTO_GAIN_FALL_DB_PER_S = 3;
+const LOUDNESS_GATE_LUFS = -70;
+const LOUDNESS_MIN_BLOCKS = 5;
+
+/**
+ * Auto-gain stage plus a short-term loudness meter fed through the BS.1770
+ * K-weighting pre-filter (high shelf + high-pass). The meter taps the signal
+ * before the auto-gain so adjustments don't feed back into the measurement.
+ */
+function createLoudnessStage(ctx, hasWorklet) {
+  const gain = ctx.createGain();
+  gain.gain.value = 1;
+  const state = { gain, meter: null, lufs: -Infinity, blocks: 0, gainDb: 0 };
+  if (!hasWorklet) return state;
+  try {
+    const shelf = ctx.createBiquadFilter();
+    shelf.type = K_WEIGHTING.shelf.type;
+    shelf.frequency.value = K_WEIGHTING.shelf.frequency;
+    shelf.gain.value = K_WEIGHTING.shelf.gain;
+    const highpass = ctx.createBiquadFilter();
+    highpass.type = K_WEIGHTING.highpass.type;
+    highpass.frequency.value = K_WEIGHTING.highpass.frequency;
+    highpass.Q.value = K_WEIGHTING.highpass.Q;
+    const meter = new AudioWorkletNode(ctx, "sse-loudness-meter", {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+    });
+    meter.port.onmessage = (e) => {
+      const d = e.data && typeof e.data === "object" ? e.data : {};
+      state.lufs = typeof d.shortTermLufs === "number" ? d.shortTermLufs : -Infinity;
+      state.blocks = Number(d.blocks) || 0;
+    };
+    shelf.connect(highpass);
+    highpass.connect(meter);
+    state.meterInput = shelf;
+    state.meter = meter;
+  } catch {
+    state.meter = null;
+  }
+  return state;
+}
+
+/** Start a fresh measurement (new video, SPA navigation) and drop back to unity gain. */
+function resetLoudness(pipe) {
+  const stage = pipe.loudness;
+  stage.lufs = -Infinity;
+  stage.blocks = 0;
+  stage.gainDb = 0;
+  stage.gain.gain.value = 1;
+  if (stage.meter) stage.meter.port.postMessage("reset");
+}
+
+function resetAllLoudness() {
+  for (const el of getMediaElements()) {
+    const pipe = audioEngine.pipelines.get(el);
+    if (pipe) resetLoudness(pipe);
+  }
+}
+
+/** Move the auto-gain one tick toward the target LUFS, within the plan's max boost. */
+function stepAutoGain(pipe, settings, isPro) {
+  const stage = pipe.loudness;
+  if (!settings.autoGain || !stage.meter) {
+    if (stage.gainDb !== 0) {
+      stage.gainDb = 0;
+      stage.gain.gain.value = 1;
+    }
+    return;
+  }
+  if (stage.blocks < LOUDNESS_MIN_BLOCKS || !(stage.lufs > LOUDNESS_GATE_LUFS)) return;
+
+  const maxDb = 20 * Math.log10(maxBoostForPlan(isPro) / Math.max(1, settings.volumeBoost));
+  const desired = clampNumber(settings.targetLufs - stage.lufs, AUTO_GAIN_MIN_DB, maxDb);
+  const dt = AUTO_GAIN_TICK_MS / 1000;
+  const delta = desired - stage.gainDb;
+  const limit = (delta > 0 ? AUTO_GAIN_RISE_DB_PER_S : AUTO_GAIN_FALL_DB_PER_S) * dt;
+  stage.gainDb += clampNumber(delta, -limit, limit);
+
+  const ctx = audioEngine.ctx;
+  const linear = Math.pow(10, stage.gainDb / 20);
+  if (ctx) stage.gain.gain.setTargetAtTime(linear, ctx.currentTime, dt / 2);
+  else stage.gain.gain.value = linear;
+}
+
+let autoGainTimer = 0;
+
+function updateAutoGainLoop(settings) {
+  if (settings.autoGain && !autoGainTimer) {
+    autoGainTimer = setInterval(() => {
+      for (const el of getMediaElements()) {
+        if (el.paused) continue;
+        const pipe = audioEngine.pipelines.get(el);
+        if (pipe) stepAutoGain(pipe, currentSettings, currentIsPro);
+      }
+    }, AUTO_GAIN_TICK_MS);
+  } else if (!settings.autoGain && autoGainTimer) {
+    clearInterval(autoGainTimer);
+    autoGainTimer = 0;
+  }
+}
+
+// Skip silence: while a controlled element plays, sample its analyser; once the
+// level has stayed under the threshold for the minimum gap, play faster until
+// sound returns. Saved time is wall-clock time not spent listening to silence.
+const SILENCE_TICK_MS = 50;
+const SILENCE_SKIP_RATE = 4;
+const SILENCE_FLUSH_MS = 15000;
+
+const silenceSkip = {
+  timer: 0,
+  flushTimer: 0,
+  states: new WeakMap(),
+  sessionMs: 0,
+  pendingMs: 0,
+};
+
+function readLevelDb(analyser) {
+  const buf = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(buf);
+  let sum = 0;
+  for (const v of buf) sum += v * v;
+  const rms = Math.sqrt(sum / buf.length);
+  return rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+}
+
+function silenceSkipRate(speed) {
+  return clampNumber(Math.max(SILENCE_SKIP_RATE, speed * 2), 0.1, 16);
+}
+
+function stopSkipping(el, state) {
+  if (!state.skipping) return;
+  state.skipping = false;
+  // Back to the rate from before the skip, also for media excluded since; the skip rate was ours.
+  applySpeedToVideo(el, playbackSpeed(currentSettings));
+}
+
+function stepSilenceSkip(el, settings, now) {
+  let state = silenceSkip.states.get(el);
+  if (!state) {
+    state = { silentSince: null, lastTickAt: now, skipping: false, heard: false };
+    silenceSkip.states.set(el, state);
+  }
+  const dt = Math.min(now - state.lastTickAt, SILENCE_TICK_MS * 4);
+  state.lastTickAt = now;
+
+  const pipe = audioEngine.pipelines.get(el);
+  const playing = !el.paused && !el.ended && !el.muted && el.volume > 0;
+  if (!pipe || !playing || !settings.skipSilence || !mediaGetsSettings(el)) {
+    state.silentSince = null;
+    stopSkipping(el, state);
+    return;
+  }
+  if (readLevelDb(pipe.analyser) >= settings.silenceThresholdDb) {
+    state.heard = true;
+    state.silentSince = null;
+    stopSkipping(el, state);
+    return;
+  }
+  // Cross-origin media without CORS reaches the analyser as pure silence, so
+  // never skip through something we have not heard yet.
+  if (!state.heard) return;
+  if (state.silentSince === null) state.silentSince = now;
+
+  if (state.skipping) {
+    const rate = silenceSkipRate(playbackSpeed(settings));
+    // Settings changes re-apply the normal speed; keep skipping at the current one.
+    if (el.playbackRate !== rate) el.playbackRate = rate;
+    const saved = dt * (rate / playbackSpeed(settings) - 1);
+    silenceSkip.sessionMs += saved;
+    silenceSkip.pendingMs += saved;
+  } else if (now - state.silentSince >= settings.silenceMinGapMs) {
+    state.skipping = true;
+    el.playbackRate = silenceSkipRate(playbackSpeed(settings));
+  }
+}
+
+/** Hand saved time to the background script, which keeps the all-time total. */
+function flushSilenceSaved() {
+  const ms = Math.round(silenceSkip.pendingMs);
+  if (ms < 1000) return;
+  silenceSkip.pendingMs -= ms;
+  void sendBackgroundMessage("SSE_SILENCE_SAVED", { ms });
+}
+
+function updateSilenceLoop(settings) {
+  if (settings.skipSilence && !silenceSkip.timer) {
+    silenceSkip.timer = setInterval(() => {
+      const now = performance.now();
+      for (const el of getMediaElements()) stepSilenceSkip(el, currentSettings, now);
+    }, SILENCE_TICK_MS);
+    silenceSkip.flushTimer = setInterval(flushSilenceSaved, SILENCE_FLUSH_MS);
+  } else if (!settings.skipSilence && silenceSkip.timer) {
+    clearInterval(silenceSkip.timer);
+    clearInterval(silenceSkip.flushTimer);
+    silenceSkip.timer = 0;
+    silenceSkip.flushTimer = 0;
+    for (const el of getMediaElements()) {
+      const state = silenceSkip.states.get(el);
+      if (state) stopSkipping(el, state);
+    }
+    flushSilenceSaved();
+  }
+}
+
+// Speed ramp: playback climbs from rampStartSpeed to rampTargetSpeed over
+// rampMinutes of playback, standing still while paused. Progress goes back to the
+// background script as rampReachedSpeed every RAMP_SAVE_STEP, and is kept per host,
+// so the next visit carries on.
+const RAMP_TICK_MS = 1000;
+const RAMP_SAVE_STEP = 0.05;
+
+const speedRamp = { timer: 0, current: null, key: "", saved: null, lastTickAt: 0 };
+
+/** The speed controlled media plays at: the ramp's while one runs. */
+function playbackSpeed(settings) {
+  return settings.speedRamp && speedRamp.current !== null ? speedRamp.current : settings.speed;
+}
+
+/** Ads don't move the ramp along or use up the trial. */
+function isPlayingControlledMedia(el) {
+  return !el.paused && !el.ended && el.readyState > 2 && mediaGetsSettings(el) && !siteAdapter.isAdPlaying(document, el);
+}
+
+/** Tell the background script how far the ramp got, once it moved a full step (or `force`). */
+function saveRampProgress(force) {
+  if (speedRamp.current === null) return;
+  const speed = Math.round(speedRamp.current * 100) / 100;
+  const from = speedRamp.saved ?? currentSettings.rampStartSpeed;
+  if (speed === speedRamp.saved || (!force && Math.abs(speed - from) < RAMP_SAVE_STEP && speed !== currentSettings.rampTargetSpeed)) {
+    return;
+  }
+  speedRamp.saved = speed;
+  // Hotkeys save currentSettings whole; they must not put older progress back.
+  currentSettings = { ...currentSettings, rampReachedSpeed: speed };
+  void sendBackgroundMessage("SSE_RAMP_PROGRESS", { speed });
+}
+
+function stepSpeedRamp() {
+  const now = performance.now();
+  const dt = Math.min(now - speedRamp.lastTickAt, RAMP_TICK_MS * 4);
+  speedRamp.lastTickAt = now;
+  const settings = currentSettings;
+  if (!settings.speedRamp || speedRamp.current === null) return;
+  const media = getMediaElements();
+  if (!media.some(isPlayingControlledMedia)) return;
+
+  const { rampStartSpeed: from, rampTargetSpeed: to } = settings;
+  const next = speedRamp.current + ((to - from) * dt) / (settings.rampMinutes * 60000);
+  const clamped = clampNumber(next, Math.min(from, to), Math.max(from, to));
+  if (clamped === speedRamp.current) return;
+  speedRamp.current = clamped;
+  for (const el of media) {
+    if (mediaGetsSettings(el) && !silenceSkip.states.get(el)?.skipping) applySpeedToVideo(el, clamped);
+  }
+  saveRampProgress(false);
+}
+
+/**
+ * Start, stop or re-aim the ramp for new settings. Saved progress from elsewhere
+ * (another tab on the site) is taken when it is further along; a changed range or
+ * cleared progress (the popup's Restart) starts over.
+ */
+function updateSpeedRamp(settings) {
+  if (!settings.speedRamp) {
+    clearInterval(speedRamp.timer);
+    Object.assign(speedRamp, { timer: 0, current: null, key: "", saved: null });
+    return;
+  }
+  const key = `${settings.rampStartSpeed}:${settings.rampTargetSpeed}:${settings.rampMinutes}`;
+  const reached = settings.rampReachedSpeed;
+  const restart = speedRamp.current === null || key !== speedRamp.key || reached === null;
+  if (restart) {
+    speedRamp.current = reached ?? settings.rampStartSpeed;
+  } else if (reached !== null && rampProgress(settings, reached) > rampProgress(settings, speedRamp.current)) {
+    speedRamp.current = reached;
+  }
+  speedRamp.key = key;
+  speedRamp.saved = reached;
+  if (!speedRamp.timer) {
+    speedRamp.lastTickAt = performance.now();
+    speedRamp.timer = setInterval(stepSpeedRamp, RAMP_TICK_MS);
+  }
+}
+
+// The Pro trial runs on playback time: while it lasts, tell the background
+// script how long this frame's controlled media has been playing.
+const TRIAL_REPORT_MS = 5000;
+
+const trialClock = { timer: 0, lastTickAt: 0 };
+
+function updateTrialClock(running) {
+  if (running && !trialClock.timer) {
+    trialClock.lastTickAt = performance.now();
+    trialClock.timer = setInterval(() => {
+      const now = performance.now();
+      const ms = Math.min(now - trialClock.lastTickAt, TRIAL_REPORT_MS * 2);
+      trialClock.lastTickAt = now;
+      if (getMediaElements().some(isPlayingControlledMedia)) void sendBackgroundMessage("SSE_TRIAL_USAGE", { ms: Math.round(ms) });
+    }, TRIAL_REPORT_MS);
+  } else if (!running && trialClock.timer) {
+    clearInterval(trialClock.timer);
+    trialClock.timer = 0;
+  }
+}
+
+function createEqBands(ctx) {
+  return EQ_BANDS_HZ.map((hz, i) => {
+    const band = ctx.createBiquadFilter();
+    if (i === 0) {
+      band.type = "lowshelf";
+    } else if (i === EQ_BANDS_HZ.length - 1) {
+      band.type = "highshelf";
+    } else {
+      band.type = "peaking";
+      // One-octave bands.
+      band.Q.value = 1.41;
+    }
+    band.frequency.value = hz;
+    band.gain.value = 0;
+    return band;
+  });
+}
+
+function setEqGains(pipe, eqGains) {
+  const gains = sanitizeEqGains(eqGains);
+  pipe.eqBands.forEach((band, i) => {
+    band.gain.value = gains[i];
+  });
+}
+
+/**
+ * Voice Clarity: split into mid (L+R, where dialogue is usually panned) and side (L−R,
+ * where surround effects and wide music live), lift the speech band on mid, duck side,
+ * then decode back to L/R. Mono input is upmixed first so it passes through as pure mid.
+ */
+function createVoiceClarity(ctx) {
+  const input = ctx.createGain();
+  input.channelCount = 2;
+  input.channelCountMode = "explicit";
+  input.channelInterpretation = "speakers";
+
+  const splitter = ctx.createChannelSplitter(2);
+  const mid = ctx.createGain();
+  const side = ctx.createGain();
+  const rightInvert = ctx.createGain();
+  mid.gain.value = 0.5;
+  side.gain.value = 0.5;
+  rightInvert.gain.value = -1;
+
+  input.connect(splitter);
+  splitter.connect(mid, 0);
+  splitter.connect(mid, 1);
+  splitter.connect(side, 0);
+  splitter.connect(rightInvert, 1);
+  rightInvert.connect(side);
+
+  const lowCut = ctx.createBiquadFilter();
+  lowCut.type = "lowshelf";
+  lowCut.frequency.value = 180;
+  lowCut.gain.value = -3;
+  const body = ctx.createBiquadFilter();
+  body.type = "peaking";
+  body.frequency.value = 1000;
+  body.Q.value = 0.8;
+  body.gain.value = 2;
+  const presence = ctx.createBiquadFilter();
+  presence.type = "peaking";
+  presence.frequency.value = 2800;
+  presence.Q.value = 0.9;
+  presence.gain.value = 5;
+  mid.connect(lowCut);
+  lowCut.connect(body);
+  body.connect(presence);
+
+  const sideDuck = ctx.createGain();
+  sideDuck.gain.value = 0.5;
+  side.connect(sideDuck);
+
+  // L = mid + side, R = mid − side.
+  const merger = ctx.createChannelMerger(2);
+  const sideInvert = ctx.createGain();
+  sideInvert.gain.value = -1;
+  presence.connect(merger, 0, 0);
+  presence.connect(merger, 0, 1);
+  sideDuck.connect(merger, 0, 0);
+  sideDuck.connect(sideInvert);
+  sideInvert.connect(merger, 0, 1);
+
+  return { input, output: merger };
+}
+
+function configureCompressor(compressor, nightMode, params) {
   if (nightMode) {
     // Night Mode: normalize dynamics — quiet parts louder, loud parts quieter.
-    compressor.threshold.value = -24;
-    compressor.knee.value = 30;
-    compressor.ratio.value = 12;
-    compressor.attack.value = 0.003;
-    compressor.release.value = 0.25;
+    const p = sanitizeCompressor(params);
+    compressor.threshold.value = p.threshold;
+    compressor.knee.value = p.knee;
+    compressor.ratio.value = p.ratio;
+    compressor.attack.value = p.attack;
+    compressor.release.value = p.release;
   } else {
     // Default (bypass / gentle).
     compressor.threshold.value = -26;
@@ -119,13 +671,25 @@ function configureCompressor(compressor, nightMode) {
   }
 }
 
-async function ensurePipelineForVideo(video) {
-  if (audioEngine.blockedVideos.has(video)) return null;
+function ensurePipelineForVideo(video) {
+  if (audioEngine.blockedVideos.has(video)) return Promise.resolve(null);
   const existing = audioEngine.pipelines.get(video);
-  if (existing) return existing;
+  if (existing) return Promise.resolve(existing);
+
+  // A media element can only be captured once, so concurrent callers share one build.
+  const pending = audioEngine.pendingPipelines.get(video);
+  if (pending) return pending;
+  const build = buildPipelineForVideo(video).finally(() => {
+    audioEngine.pendingPipelines.delete(video);
+  });
+  audioEngine.pendingPipelines.set(video, build);
+  return build;
+}
 
+async function buildPipelineForVideo(video) {
   const ctx = await ensureAudioContext();
   if (!ctx) return null;
+  const worklets = await ensureWorklets(ctx);
 
   try {
     try {
@@ -139,13 +703,24 @@ async function ensurePipelineForVideo(video) {
 
     // Bypass-safe routing:
     // - dry path: source -> dryGain -> destination (original audio)
-    // - wet path: source -> wetPre -> (compressor|bypass) -> boostGain -> analyser -> wetGain -> destination
+    // - wet path: source -> wetPre -> pitchShifter -> eq[0..9] -> (voiceClarity|bypass)
+    //   -> (compressor|bypass) -> boostGain -> autoGain -> limiter -> analyser -> wetGain -> destination
+    //   (boostGain also feeds the K-weighted loudness meter)
     const dryGain = ctx.createGain();
     const wetPre = ctx.createGain();
+    const pitchShifter = worklets.pitch ? createPitchShifter(ctx) : null;
+    if (!pitchShifter) audioEngine.pitchUnavailable = true;
+    const eqBands = createEqBands(ctx);
+    const voiceClarity = createVoiceClarity(ctx);
+    const voiceSelGain = ctx.createGain();
+    const voiceBypassGain = ctx.createGain();
+    const voiceOut = ctx.createGain();
     const compressor = ctx.createDynamicsCompressor();
     const compSelGain = ctx.createGain();
     const bypassSelGain = ctx.createGain();
     const boostGain = ctx.createGain();
+    const loudness = createLoudnessStage(ctx, worklets.loudness);
+    const limiter = createLimiter(ctx, worklets.limiter);
     const analyser = ctx.createAnalyser();
     const wetGain = ctx.createGain();
 
@@ -157,7 +732,9 @@ async function ensurePipelineForVideo(video) {
     wetGain.gain.value = 0;
     wetPre.gain.value = 1;
 
-    // Start in bypass mode for compressor.
+    // Start in bypass mode for Voice Clarity and compressor.
+    voiceSelGain.gain.value = 0;
+    voiceBypassGain.gain.value = 1;
     compSelGain.gain.value = 0;
     bypassSelGain.gain.value = 1;
     boostGain.gain.value = 1;
@@ -166,12 +743,30 @@ async function ensurePipelineForVideo(video) {
     dryGain.connect(ctx.destination);
 
     source.connect(wetPre);
-    wetPre.connect(compressor);
+    let wetTail = wetPre;
+    if (pitchShifter) {
+      wetPre.connect(pitchShifter);
+      wetTail = pitchShifter;
+    }
+    for (const band of eqBands) {
+      wetTail.connect(band);
+      wetTail = band;
+    }
+    wetTail.connect(voiceClarity.input);
+    voiceClarity.output.connect(voiceSelGain);
+    wetTail.connect(voiceBypassGain);
+    voiceSelGain.connect(voiceOut);
+    voiceBypassGain.connect(voiceOut);
+    wetTail = voiceOut;
+    wetTail.connect(compressor);
     compressor.connect(compSelGain);
-    wetPre.connect(bypassSelGain);
+    wetTail.connect(bypassSelGain);
     compSelGain.connect(boostGain);
     bypassSelGain.connect(boostGain);
-    boostGain.connect(analyser);
+    boostGain.connect(loudness.gain);
+    if (loudness.meterInput) boostGain.connect(loudness.meterInput);
+    loudness.gain.connect(limiter.node);
+    limiter.node.connect(analyser);
     analyser.connect(wetGain);
     wetGain.connect(ctx.destination);
 
@@ -179,10 +774,16 @@ async function ensurePipelineForVideo(video) {
       source,
       dryGain,
       wetPre,
+      pitchShifter,
+      eqBands,
+      voiceSelGain,
+      voiceBypassGain,
       compressor,
       compSelGain,
       bypassSelGain,
       boostGain,
+      loudness,
+      limiter,
       analyser,
       wetGain,
       lastVizLevels: new Array(24).fill(0),
@@ -204,6 +805,7 @@ async function ensurePipelineForVideo(video) {
       },
       { passive: true }
     );
+    video.addEventListener("loadedmetadata", () => resetLoudness(pipe), { passive: true });
 
     return pipe;
   } catch {
@@ -212,17 +814,44 @@ async function ensurePipelineForVideo(video) {
   }
 }
 
+function setPitchRatio(pipe, pitchSemitones) {
+  if (!pipe.pitchShifter) return;
+  const semis = clampNumber(Number(pitchSemitones), -12, 12);
+  const param = pipe.pitchShifter.parameters.get("pitchRatio");
+  if (param) param.value = Math.pow(2, semis / 12);
+}
+
+/** Whether any setting needs the Web Audio wet path (otherwise audio stays untouched). */
+function needsWetPath(settings) {
+  return (
+    settings.volumeBoost > 1 ||
+    settings.nightMode === true ||
+    settings.pitchSemitones !== 0 ||
+    !isEqFlat(settings.eqGains) ||
+    settings.voiceClarity === true ||
+    settings.autoGain === true ||
+    settings.skipSilence === true
+  );
+}
+
+/** Route `pipe` through its dry path only, so the element plays its original audio. */
+function bypassPipeline(pipe) {
+  pipe.dryGain.gain.value = 1;
+  pipe.wetGain.gain.value = 0;
+  pipe.boostGain.gain.value = 1;
+  pipe.compSelGain.gain.value = 0;
+  pipe.bypassSelGain.gain.value = 1;
+  setPitchRatio(pipe, 0);
+  setEqGains(pipe, EQ_FLAT);
+  pipe.voiceSelGain.gain.value = 0;
+  pipe.voiceBypassGain.gain.value = 1;
+  if (pipe.loudness.gainDb !== 0) resetLoudness(pipe);
+}
+
 async function applyAudioToVideo(video, settings) {
-  const anyWet = settings.volumeBoost > 1 || settings.nightMode === true;
-  if (!anyWet) {
+  if (!needsWetPath(settings)) {
     const existing = audioEngine.pipelines.get(video);
-    if (existing) {
-      existing.dryGain.gain.value = 1;
-      existing.wetGain.gain.value = 0;
-      existing.boostGain.gain.value = 1;
-      existing.compSelGain.gain.value = 0;
-      existing.bypassSelGain.gain.value = 1;
-    }
+    if (existing) bypassPipeline(existing);
     return;
   }
 
@@ -232,10 +861,17 @@ async function applyAudioToVideo(video, settings) {
   pipe.dryGain.gain.value = 0;
   pipe.wetGain.gain.value = 1;
   pipe.boostGain.gain.value = settings.volumeBoost;
+  setLimiterCeiling(pipe.limiter, settings.limiterCeilingDb);
+  if (!settings.autoGain && pipe.loudness.gainDb !== 0) resetLoudness(pipe);
+  setPitchRatio(pipe, settings.pitchSemitones);
+  setEqGains(pipe, settings.eqGains);
+  pipe.voiceSelGain.gain.value = settings.voiceClarity ? 1 : 0;
+  pipe.voiceBypassGain.gain.value = settings.voiceClarity ? 0 : 1;
 
   if (settings.nightMode) {
-    configureCompressor(pipe.compressor, true);
-    pipe.compSelGain.gain.value = 1;
+    configureCompressor(pipe.compressor, true, settings.compressor);
+    // Makeup gain rides on the compressor's selector gain.
+    pipe.compSelGain.gain.value = Math.pow(10, sanitizeCompressor(settings.compressor).makeupDb / 20);
     pipe.bypassSelGain.gain.value = 0;
   } else {
     configureCompressor(pipe.compressor, false);
@@ -264,90 +900,359 @@ function setPreservesPitch(video, preserves) {
   }
 }
 
-function applySpeedAndPitchToVideo(video, speed, pitchSemitones) {
-  const semis = clampNumber(Number(pitchSemitones), -12, 12);
-  const pitchFactor = Math.pow(2, semis / 12);
+function applySpeedAndPitchToVideo(video, speed) {
+  // Pitch is shifted by the worklet in the audio pipeline (see applyAudioToVideo),
+  // so the element always preserves pitch and plays at exactly the user's speed.
+  setPreservesPitch(video, true);
+  applySpeedToVideo(video, speed);
+}
+
+// Speed guard. Players such as YouTube's set playbackRate themselves on ad
+// breaks, quality changes and source swaps. Every element we control is watched,
+// and a rate other than the one we want is put back on the next frame. Waiting that
+// frame lets the player's own handlers finish first. Our own changes always set the
+// wanted rate, so they pass untouched. With siteSpeedWins the guard stands down.
+const SPEED_GUARD_EVENTS = Object.freeze(["ratechange", "loadedmetadata", "emptied", "play"]);
+// A player that undoes every correction gets the last word for the rest of the window.
+const SPEED_GUARD_MAX_RESETS = 10;
+const SPEED_GUARD_WINDOW_MS = 2000;
+const SPEED_GUARD_TOLERANCE = 0.001;
+
+const speedGuard = { states: new WeakMap() };
+
+/** The rate `el` should play at now, or null when it isn't ours to keep. */
+function wantedPlaybackRate(el) {
+  if (!mediaGetsSettings(el) || currentSettings.siteSpeedWins) return null;
+  const speed = playbackSpeed(currentSettings);
+  return silenceSkip.states.get(el)?.skipping ? silenceSkipRate(speed) : speed;
+}
+
+function runNextFrame(fn) {
+  // Hidden tabs get no animation frames, but their media may still be playing.
+  if (document.hidden) setTimeout(fn, 0);
+  else requestAnimationFrame(fn);
+}
+
+function onGuardedMediaEvent(e) {
+  const el = e.currentTarget;
+  const state = speedGuard.states.get(el);
+  // A new source starts with a clean slate, even after a fight over the old one.
+  if (e.type === "emptied") state.resets = 0;
+  const wanted = wantedPlaybackRate(el);
+  if (wanted === null || Math.abs(el.playbackRate - wanted) < SPEED_GUARD_TOLERANCE) return;
+  if (e.type === "ratechange" && adoptNativeRate(el)) return;
+  if (state.pending) return;
+
+  const now = performance.now();
+  if (now - state.windowStart > SPEED_GUARD_WINDOW_MS) {
+    state.windowStart = now;
+    state.resets = 0;
+  }
+  if (state.resets >= SPEED_GUARD_MAX_RESETS) return;
+  state.resets += 1;
+  state.pending = true;
+  runNextFrame(() => {
+    state.pending = false;
+    const rate = wantedPlaybackRate(el);
+    if (rate === null || Math.abs(el.playbackRate - rate) < SPEED_GUARD_TOLERANCE) return;
+    if (silenceSkip.states.get(el)?.skipping) el.playbackRate = rate;
+    else applySpeedToVideo(el, rate);
+  });
+}
+
+// The player's own speed menu is the user speaking, not the player: a rate set
+// just after a click or key press in it becomes this page's speed. It isn't
+// saved; the profile only changes through the popup and hotkeys.
+const NATIVE_CONTROL_GRACE_MS = 1000;
+
+const nativeControls = { lastInputAt: -Infinity };
+
+function isInNativeControls(e) {
+  const selector = siteAdapter.nativeControlsSelector;
+  if (!selector) return false;
+  const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+  return path.some((node) => node instanceof Element && node.matches(selector));
+}
+
+function watchNativeControls() {
+  if (!siteAdapter.nativeControlsSelector) return;
+  const onInput = (e) => {
+    if (isInNativeControls(e)) nativeControls.lastInputAt = performance.now();
+  };
+  window.addEventListener("pointerdown", onInput, { capture: true, passive: true });
+  window.addEventListener("keydown", onInput, { capture: true, passive: true });
+}
+
+/** Take `el`'s rate as the new speed when the native controls just set it. */
+function adoptNativeRate(el) {
+  if (performance.now() - nativeControls.lastInputAt > NATIVE_CONTROL_GRACE_MS) return false;
+  // A running ramp or a silence skip owns the rate; the menu can't stand in for them.
+  if (currentSettings.speedRamp || silenceSkip.states.get(el)?.skipping) return false;
+  void applySettingsToAllVideos({ ...currentSettings, speed: Math.round(el.playbackRate * 100) / 100 }).catch(() => {});
+  return true;
+}
+
+function guardMediaSpeed(el) {
+  if (speedGuard.states.has(el)) return;
+  speedGuard.states.set(el, { pending: false, resets: 0, windowStart: 0 });
+  for (const type of SPEED_GUARD_EVENTS) el.addEventListener(type, onGuardedMediaEvent, { passive: true });
+}
+
+const HUD_VISIBLE_MS = 1400;
+
+const hud = {
+  host: null,
+  box: null,
+  video: null,
+  hideTimer: 0,
+  resizeObserver: null,
+};
+
+function ensureHud() {
+  if (hud.host) return hud;
+  const host = document.createElement("div");
+  // Inline styles only: page CSPs may block injected <style> elements.
+  Object.assign(host.style, {
+    position: "fixed",
+    top: "0px",
+    left: "0px",
+    zIndex: "2147483647",
+    pointerEvents: "none",
+  });
+  const root = host.attachShadow({ mode: "closed" });
+  const box = document.createElement("div");
+  box.setAttribute("role", "status");
+  Object.assign(box.style, {
+    font: "600 13px/1.3 system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+    color: "#e6edf3",
+    background: "rgba(0, 0, 0, 0.78)",
+    border: "1px solid rgba(255, 46, 99, 0.45)",
+    borderRadius: "10px",
+    padding: "6px 10px",
+    boxShadow: "0 0 16px rgba(255, 46, 99, 0.25), 0 0 20px rgba(170, 46, 230, 0.18)",
+    fontVariantNumeric: "tabular-nums",
+    whiteSpace: "nowrap",
+    opacity: "0",
+    transition: "opacity 180ms ease",
+  });
+  root.append(box);
+  hud.host = host;
+  hud.box = box;
+
+  hud.resizeObserver = typeof ResizeObserver === "function"
+    ? new ResizeObserver(() => positionHud())
+    : null;
+  document.addEventListener("fullscreenchange", () => positionHud(), { passive: true });
+  window.addEventListener("resize", () => positionHud(), { passive: true });
+  window.addEventListener("scroll", () => positionHud(), { passive: true, capture: true });
+  return hud;
+}
+
+/** Keep the HUD in the top-left corner of its player, inside the fullscreen element if any. */
+function positionHud() {
+  if (!hud.host || !hud.video) return;
+  const fs = document.fullscreenElement;
+  // A fullscreen <video> sits in the top layer; nothing we add can draw over it.
+  if (fs && fs === hud.video) {
+    hud.host.remove();
+    return;
+  }
+  const parent = fs && composedContains(fs, hud.video) ? fs : document.documentElement;
+  if (hud.host.parentNode !== parent) parent.append(hud.host);
 
-  // Speed only: preserve pitch so only playback speed changes.
-  if (semis === 0) {
-    setPreservesPitch(video, true);
-    applySpeedToVideo(video, speed);
+  const rect = hud.video.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) {
+    // Hidden <audio> players have no box to anchor to; use the viewport corner instead.
+    hud.host.style.transform = "translate(12px, 12px)";
     return;
   }
+  hud.host.style.transform = `translate(${Math.round(rect.left + 12)}px, ${Math.round(rect.top + 12)}px)`;
+}
+
+function trackHudVideo(video) {
+  if (hud.video === video) return;
+  if (hud.resizeObserver) {
+    if (hud.video) hud.resizeObserver.unobserve(hud.video);
+    hud.resizeObserver.observe(video);
+  }
+  hud.video = video;
+}
+
+function showHud(settings) {
+  const primary = getPrimaryMedia();
+  if (!primary) return;
+  ensureHud();
+  trackHudVideo(primary);
+
+  // What is playing: a running ramp or silence skip, or the site's own rate when it has the last word.
+  const speed = wantedPlaybackRate(primary) ?? primary.playbackRate;
+  const parts = [formatSpeed(speed), formatPercentFromBoost(settings.volumeBoost)];
+  parts.push(settings.nightMode ? "Night on" : "Night off");
+  hud.box.textContent = parts.join("  ·  ");
+
+  positionHud();
+  hud.box.style.opacity = "1";
+  if (hud.hideTimer) clearTimeout(hud.hideTimer);
+  hud.hideTimer = setTimeout(() => {
+    hud.hideTimer = 0;
+    if (hud.box) hud.box.style.opacity = "0";
+  }, HUD_VISIBLE_MS);
+}
 
-  // Pitch shift: disable pitch preservation and apply speed * pitch factor.
-  // (Perceived speed will change with pitch; true pitch-only would require a pitch-shifter node.)
-  setPreservesPitch(video, false);
-  applySpeedToVideo(video, speed * pitchFactor);
+function hudFieldsChanged(prev, next) {
+  return (
+    prev.speed !== next.speed ||
+    prev.volumeBoost !== next.volumeBoost ||
+    prev.nightMode !== next.nightMode
+  );
 }
 
 let currentIsPro = false;
-let currentTrialStartTime = null;
 let currentSettings = { ...DEFAULTS };
+let settingsLoaded = false;
 
-async function refreshEffectivePro() {
-  try {
-    const stored = await browser.storage.local.get(["isPro", "trialStartTime"]);
-    currentIsPro = Boolean(stored.isPro ?? false);
-    const t = stored.trialStartTime;
-    currentTrialStartTime = typeof t === "number" && t > 0 ? t : null;
-    if (currentTrialStartTime && !isTrialActive(currentTrialStartTime)) {
-      currentTrialStartTime = null;
-    }
-    currentIsPro = currentIsPro || isTrialActive(currentTrialStartTime);
-  } catch {
-    currentIsPro = false;
-    currentTrialStartTime = null;
-  }
+/** This tab's site settings, gated for the current plan by the background script. */
+async function fetchSiteSettings() {
+  const res = await sendBackgroundMessage("SSE_SETTINGS_GET");
+  if (!res || !res.ok) return null;
+  currentIsPro = Boolean(res.plan && res.plan.effectivePro);
+  updateTrialClock(Boolean(res.plan && !res.plan.isPro && res.plan.trialRemainingMs > 0));
+  return res.settings;
 }
 
 async function applySettingsToAllVideos(settings) {
   const next = sanitizeSettings(settings, currentIsPro);
+  const prev = currentSettings;
   currentSettings = next;
 
-  const vids = getVideos();
-  for (const v of vids) {
-    applySpeedAndPitchToVideo(v, next.speed, next.pitchSemitones);
-    await applyAudioToVideo(v, next);
+  updateAutoGainLoop(next);
+  updateSilenceLoop(next);
+  updateSpeedRamp(next);
+
+  // The first load is the page's saved profile, not a change worth announcing.
+  // Shown after the ramp has caught up with the new settings.
+  if (settingsLoaded && next.showHud && hudFieldsChanged(prev, next)) {
+    try {
+      showHud(next);
+    } catch {
+      // ignore
+    }
+  }
+  settingsLoaded = true;
+
+  const media = getMediaElements();
+  for (const v of media) await applySettingsToMedia(v, next);
+}
+
+/** `settings` for media we control; excluded or untargeted media is left to the page. */
+function applySettingsToMedia(el, settings) {
+  guardMediaSpeed(el);
+  if (!mediaGetsSettings(el)) {
+    releaseMedia(el);
+    return Promise.resolve();
+  }
+  applySpeedAndPitchToVideo(el, playbackSpeed(settings));
+  return applyAudioToVideo(el, settings);
+}
+
+/**
+ * Stop processing `el`. A captured element can't leave the audio graph, so an
+ * existing pipeline goes to its dry path; its rate stays whatever it is now.
+ */
+function releaseMedia(el) {
+  const pipe = audioEngine.pipelines.get(el);
+  if (pipe) bypassPipeline(pipe);
+  const state = silenceSkip.states.get(el);
+  if (state) stopSkipping(el, state);
+}
+
+function applyCurrentSettingsToMedia(el) {
+  void applySettingsToMedia(el, currentSettings);
+}
+
+function handleAddedNode(node) {
+  if (node instanceof HTMLMediaElement) {
+    applyCurrentSettingsToMedia(node);
+  } else if (node.querySelectorAll) {
+    for (const el of node.querySelectorAll(MEDIA_SELECTOR)) applyCurrentSettingsToMedia(el);
   }
+  for (const root of collectShadowRoots(node, [])) watchShadowRoot(root);
 }
 
-function startVideoObserver() {
+/** Observe an open shadow root like the document itself and handle media already inside it. */
+function watchShadowRoot(root) {
+  if (mediaDiscovery.shadowRoots.has(root)) return;
+  mediaDiscovery.shadowRoots.add(root);
+  if (mediaDiscovery.observer) {
+    mediaDiscovery.observer.observe(root, { childList: true, subtree: true });
+  }
+  for (const el of root.querySelectorAll(MEDIA_SELECTOR)) applyCurrentSettingsToMedia(el);
+}
+
+/**
+ * Catch shadow roots attached after their host is already in the DOM, which the
+ * MutationObserver never sees. Firefox-only: patches the page's attachShadow via
+ * exportFunction; elsewhere we rely on the scans in handleAddedNode.
+ */
+function hookAttachShadow() {
+  try {
+    const page = window.wrappedJSObject;
+    if (!page || typeof exportFunction !== "function") return;
+    const proto = page.Element.prototype;
+    const original = proto.attachShadow;
+    if (typeof original !== "function") return;
+    exportFunction(
+      function attachShadow(init) {
+        const root = original.call(this, init);
+        try {
+          if (this instanceof Element && this.shadowRoot) watchShadowRoot(this.shadowRoot);
+        } catch {
+          // ignore
+        }
+        return root;
+      },
+      proto,
+      { defineAs: "attachShadow" }
+    );
+  } catch {
+    // ignore
+  }
+}
+
+function startMediaObserver() {
   const obs = new MutationObserver((mutations) => {
     for (const m of mutations) {
       for (const node of m.addedNodes) {
         if (!(node instanceof Element)) continue;
-        if (node.tagName === "VIDEO") {
-          const v = /** @type {HTMLVideoElement} */ (node);
-          applySpeedAndPitchToVideo(v, currentSettings.speed, currentSettings.pitchSemitones);
-          void applyAudioToVideo(v, currentSettings);
-        } else {
-          const nested = node.querySelectorAll ? node.querySelectorAll("video") : [];
-          if (!nested || nested.length === 0) continue;
-          for (const v of nested) {
-            applySpeedAndPitchToVideo(v, currentSettings.speed, currentSettings.pitchSemitones);
-            void applyAudioToVideo(v, currentSettings);
-          }
-        }
+        handleAddedNode(node);
       }
     }
   });
+  mediaDiscovery.observer = obs;
 
   obs.observe(document.documentElement, { childList: true, subtree: true });
+  for (const root of collectShadowRoots(document.documentElement, [])) watchShadowRoot(root);
+  hookAttachShadow();
 
-  // Handle SPA / AJAX navigations (e.g., YouTube) by re-applying to current videos
-  // when navigation events fire.
-  window.addEventListener(
-    "yt-navigate-finish",
-    () => {
-      const vids = getVideos();
-      for (const v of vids) {
-        applySpeedAndPitchToVideo(v, currentSettings.speed, currentSettings.pitchSemitones);
-        void applyAudioToVideo(v, currentSettings);
-      }
-    },
-    { passive: true }
-  );
+  // Handle SPA / AJAX navigations (e.g., YouTube) by re-applying to current media
+  // when the site's navigation events fire.
+  for (const type of siteAdapter.navigationEvents) {
+    window.addEventListener(
+      type,
+      () => {
+        resetAllLoudness();
+        for (const v of getMediaElements()) applyCurrentSettingsToMedia(v);
+      },
+      { passive: true }
+    );
+  }
+}
+
+/** Current gain reduction in dB (≤ 0). Older engines expose `reduction` as an AudioParam. */
+function readCompressorReduction(compressor) {
+  const r = compressor.reduction;
+  const db = typeof r === "number" ? r : r && typeof r.value === "number" ? r.value : 0;
+  return Number.isFinite(db) ? Math.min(0, db) : 0;
 }
 
 function computeVizLevels(analyser, barCount) {
@@ -372,43 +1277,144 @@ function computeVizLevels(analyser, barCount) {
   return out;
 }
 
+function getPrimaryMedia() {
+  // Adapters fall back to the largest media themselves; null means there is none.
+  return siteAdapter.findMainPlayer(document, getMediaElements().filter(mediaGetsSettings));
+}
+
 function getPrimaryPipeline() {
-  const vids = getVideos();
-  // Prefer playing/unmuted videos.
-  const playing = vids.find((v) => !v.paused && !v.ended) || vids[0] || null;
+  const playing = getPrimaryMedia();
   if (!playing) return null;
   const pipe = audioEngine.pipelines.get(playing) || null;
   return { video: playing, pipe };
 }
 
+function isEditableTarget(e) {
+  const path = typeof e.composedPath === "function" ? e.composedPath() : [];
+  const el = path[0] instanceof Element ? path[0] : e.target;
+  if (!(el instanceof Element)) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+}
+
+function nextSettingsForHotkey(action, settings) {
+  const s = { ...settings };
+  switch (action) {
+    case "speedUp":
+      s.speed = Math.round((s.speed + HOTKEY_SPEED_STEP) * 100) / 100;
+      break;
+    case "speedDown":
+      s.speed = Math.round((s.speed - HOTKEY_SPEED_STEP) * 100) / 100;
+      break;
+    case "speedReset":
+      s.speed = 1;
+      break;
+    case "boostUp":
+      s.volumeBoost = Math.round((s.volumeBoost + HOTKEY_BOOST_STEP) * 100) / 100;
+      break;
+    case "boostDown":
+      s.volumeBoost = Math.round((s.volumeBoost - HOTKEY_BOOST_STEP) * 100) / 100;
+      break;
+    case "toggleNightMode":
+      s.nightMode = !s.nightMode;
+      break;
+    case "pitchUp":
+      s.pitchSemitones += HOTKEY_PITCH_STEP;
+      break;
+    case "pitchDown":
+      s.pitchSemitones -= HOTKEY_PITCH_STEP;
+      break;
+    default:
+      return null;
+  }
+  return s;
+}
+
+const saveHotkeySettings = createDebounced(() => {
+  void sendBackgroundMessage("SSE_SETTINGS_SET", { settings: currentSettings });
+}, 80);
+
+/** Apply a hotkey action to this frame's media and save it; false when it doesn't apply here. */
+function runHotkeyAction(action) {
+  if (!settingsLoaded || getMediaElements().length === 0) return false;
+  const next = nextSettingsForHotkey(action, currentSettings);
+  if (!next) return false;
+  void (async () => {
+    try {
+      await applySettingsToAllVideos(next);
+      saveHotkeySettings();
+    } catch {
+      // ignore
+    }
+  })();
+  return true;
+}
+
+async function startHotkeys() {
+  const res = await sendBackgroundMessage("SSE_HOTKEYS_GET");
+  let bindings = res && res.ok ? res.hotkeys : { ...DEFAULT_HOTKEYS };
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local" || !changes.hotkeys) return;
+    bindings = sanitizeHotkeys(changes.hotkeys.newValue);
+  });
+
+  window.addEventListener(
+    "keydown",
+    (e) => {
+      if (e.repeat && !e.code.startsWith("Arrow")) return;
+      if (isEditableTarget(e) || isInNativeControls(e)) return;
+
+      const combo = comboFromKeyEvent(e);
+      const action = Object.keys(bindings).find((a) => bindings[a] && bindings[a] === combo);
+      if (!action) return;
+
+      // No media here (say, the page around an embedded player): the background
+      // script hands the key to the frame that has some. The key isn't swallowed,
+      // since there may be no such frame.
+      if (getMediaElements().length === 0) {
+        void sendBackgroundMessage("SSE_HOTKEY_FORWARD", { action });
+        return;
+      }
+      if (!runHotkeyAction(action)) return;
+      e.preventDefault();
+      e.stopPropagation();
+    },
+    { capture: true }
+  );
+}
+
 function init() {
   try {
-    const hostname = getHostname();
-    if (!hostname) return;
-
     void (async () => {
       try {
-        await refreshEffectivePro();
-        const stored = await loadSettingsForHostname(hostname, currentIsPro);
+        // No settings means this isn't a normal website tab; leave the page alone.
+        const stored = await fetchSiteSettings();
+        if (!stored) return;
         await applySettingsToAllVideos(stored);
+        startMediaObserver();
+        watchNativeControls();
+        void startHotkeys();
       } catch {
         // Bypass: keep video playing normally on error (e.g. YouTube).
       }
     })();
 
-    startVideoObserver();
+    window.addEventListener("pagehide", flushSilenceSaved, { passive: true });
+    window.addEventListener("pagehide", () => saveRampProgress(true), { passive: true });
 
+    // Storage is only written by the background script; a change there means
+    // this site's settings or the plan may differ, so ask for them again. Synced
+    // edits from other devices arrive here too, once sync.js merges them into local.
     browser.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName !== "local") return;
+      if (areaName !== "local" || !settingsLoaded) return;
+      const trialChanged = changes.trial && trialPhase(changes.trial.oldValue) !== trialPhase(changes.trial.newValue);
+      if (!changes.domainSettings && !changes.rampProgress && !changes.license && !trialChanged) return;
       void (async () => {
         try {
-          if (changes.isPro != null || changes.trialStartTime != null) {
-            await refreshEffectivePro();
-          }
-          if (changes.domainSettings || changes.isPro != null || changes.trialStartTime != null) {
-            const stored = await loadSettingsForHostname(hostname, currentIsPro);
-            await applySettingsToAllVideos(stored);
-          }
+          const stored = await fetchSiteSettings();
+          if (stored) await applySettingsToAllVideos(stored);
         } catch {
           // ignore
         }
@@ -419,11 +1425,55 @@ function init() {
       const m = msg && typeof msg === "object" ? msg : {};
       if (m.type === "SSE_PING") {
         try {
-          return Promise.resolve({ hasVideo: getVideos().length > 0 });
+          return Promise.resolve(describeMedia(getMediaElements()));
+        } catch {
+          return Promise.resolve(describeMedia([]));
+        }
+      }
+      if (m.type === "SSE_PAGE_CHANGED") {
+        // Same document, new URL: a path rule may now apply.
+        return (async () => {
+          try {
+            const stored = await fetchSiteSettings();
+            if (stored) await applySettingsToAllVideos(stored);
+            return { ok: true };
+          } catch {
+            return { ok: false };
+          }
+        })();
+      }
+      // A hotkey pressed in another frame of this tab that has no media.
+      if (m.type === "SSE_HOTKEY") {
+        try {
+          return Promise.resolve({ ok: runHotkeyAction(String(m.action)) });
         } catch {
-          return Promise.resolve({ hasVideo: false });
+          return Promise.resolve({ ok: false });
         }
       }
+      if (m.type === "SSE_MEDIA_LIST") {
+        try {
+          return Promise.resolve({ ok: true, items: listMediaItems(), target: mediaControl.target });
+        } catch {
+          return Promise.resolve({ ok: false, items: [] });
+        }
+      }
+      // Sent to every frame; each re-applies so untargeted media elsewhere is released.
+      if (m.type === "SSE_MEDIA_TARGET" || m.type === "SSE_MEDIA_EXCLUDE") {
+        return (async () => {
+          try {
+            if (m.type === "SSE_MEDIA_TARGET") {
+              mediaControl.target = typeof m.id === "string" ? m.id : null;
+            } else if (typeof m.id === "string") {
+              if (m.excluded) mediaControl.excluded.add(m.id);
+              else mediaControl.excluded.delete(m.id);
+            }
+            await applySettingsToAllVideos(currentSettings);
+            return { ok: true };
+          } catch {
+            return { ok: false };
+          }
+        })();
+      }
       if (m.type === "SSE_APPLY") {
         return (async () => {
           try {
@@ -451,12 +1501,46 @@ function init() {
 
             const levels = computeVizLevels(pipe.analyser, 24);
             pipe.lastVizLevels = levels;
-            return { ok: true, active: isPlaying, levels };
+            const reductionDb = currentSettings.nightMode ? readCompressorReduction(pipe.compressor) : 0;
+            return { ok: true, active: isPlaying, levels, reductionDb };
           } catch {
             return { ok: true, active: false, levels: [] };
           }
         })();
       }
+      // Also carries the audio engine's missing stages, which the popup polls alongside.
+      if (m.type === "SSE_GET_LIMITER") {
+        try {
+          const { pitchUnavailable } = audioEngine;
+          const primary = getPrimaryPipeline();
+          if (!primary || !primary.pipe || !needsWetPath(currentSettings)) {
+            return Promise.resolve({ ok: true, active: false, reductionDb: 0, clipping: false, pitchUnavailable });
+          }
+          const stats = readLimiterStats(primary.pipe.limiter);
+          return Promise.resolve({ ok: true, active: true, ...stats, pitchUnavailable });
+        } catch {
+          return Promise.resolve({ ok: false });
+        }
+      }
+      if (m.type === "SSE_GET_SILENCE") {
+        const skipping = getMediaElements().some((el) => silenceSkip.states.get(el)?.skipping);
+        return Promise.resolve({
+          ok: true,
+          sessionMs: silenceSkip.sessionMs,
+          pendingMs: silenceSkip.pendingMs,
+          skipping,
+        });
+      }
+      if (m.type === "SSE_GET_RAMP") {
+        const media = getMediaElements().filter(mediaGetsSettings);
+        if (speedRamp.current === null || !media.length) return Promise.resolve({ ok: false });
+        return Promise.resolve({
+          ok: true,
+          speed: speedRamp.current,
+          saved: speedRamp.saved,
+          playing: media.some(isPlayingControlledMedia),
+        });
+      }
       if (m.type === "SSE_RESUME_CTX") {
         return (async () => {
           try {
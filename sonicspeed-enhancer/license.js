@@ -0,0 +1,341 @@
+/* global browser */
+
+// Pro licenses. A license is a signed token "SSE1.<payload>.<signature>": the
+// payload is base64url JSON { lid, email, seats, iat, exp, device?, mode? } and the
+// signature is ECDSA P-256 / SHA-256 (raw r||s) over "SSE1.<payload>", checked
+// against the public keys below. Tokens come from the license server (online
+// activation with a key) or are pasted in as-is (offline activation). Online
+// licenses are re-checked daily; when the server can't be reached they keep
+// working for LICENSE_GRACE_MS after the last successful check. Only tokens
+// signed with mode "offline" may be pasted in: one the server issued for online
+// activation must keep being confirmed, or a freed seat could be pasted back.
+//
+// Server protocol (JSON POSTs to the configurable endpoint):
+//   /activate   { key, device }   → 200 { token } | 4xx { error }
+//   /validate   { token, device } → 200 { token? } | 403/410 { error }
+//   /deactivate { token, device } → 200 {}
+// tools/mock-license-server.js implements it for local testing.
+
+const LICENSE_TOKEN_PREFIX = "SSE1";
+// Build flag for online activation. The production license server isn't live yet and
+// nothing issues tokens for LICENSE_PUBLIC_KEYS online, so packaged builds only take
+// offline tokens until it is; development installs can still activate against the
+// server set under Options (tools/mock-license-server.js).
+const LICENSE_ONLINE_ACTIVATION = false;
+// No default server until the production one exists.
+const LICENSE_DEFAULT_ENDPOINT = null;
+const LICENSE_REVALIDATE_MS = 24 * 60 * 60 * 1000;
+const LICENSE_GRACE_MS = 14 * 24 * 60 * 60 * 1000;
+// Plan checks run on every page load; an unreachable server is asked at most this often.
+const LICENSE_RETRY_MS = 60 * 60 * 1000;
+const LICENSE_FETCH_TIMEOUT_MS = 10000;
+// Check times further ahead than this were not written by this clock.
+const LICENSE_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// License keys as sold: letters and digits, optionally grouped with dashes.
+const LICENSE_KEY_REGEX = /^[A-Z0-9]{4,8}(-[A-Z0-9]{4,8}){0,7}$/;
+
+const LICENSE_PUBLIC_KEYS = Object.freeze([
+  {
+    kty: "EC",
+    crv: "P-256",
+    x: "WzEnvrbeHT9B9bFZ2J9lKbXFXiFkFTQ1qu5i-5A_dqI",
+    y: "jkBCwxvHq6d6YwtQdUWHmrc8O1LaQxyWvdAHWCyGo8Q",
+  },
+]);
+
+// Signs the mock server's tokens. Only trusted when the extension is loaded
+// temporarily from about:debugging, never in a packaged install.
+const LICENSE_DEV_PUBLIC_KEY = Object.freeze({
+  kty: "EC",
+  crv: "P-256",
+  x: "Bfv-sn57-HWTZbMt3EpLeM-vhHr7eP5HuzI6c02JTFQ",
+  y: "lGY86xhXFsxPhDiCp_igXsHzR0KJlj7DFFswUks7r7Q",
+});
+
+const licenseState = {
+  keys: null,
+  // token → verified payload (or null), so plan checks don't re-verify every time.
+  verified: new Map(),
+  revalidating: null,
+};
+
+function sanitizeLicenseKeyInput(raw) {
+  return String(raw ?? "").toUpperCase().replace(/[^A-Z0-9-]/g, "");
+}
+
+function looksLikeLicenseToken(raw) {
+  return String(raw ?? "").trim().startsWith(`${LICENSE_TOKEN_PREFIX}.`);
+}
+
+function base64UrlToBytes(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(str.length / 4) * 4, "=");
+  return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+}
+
+async function isDevelopmentInstall() {
+  try {
+    return (await browser.management.getSelf()).installType === "development";
+  } catch {
+    return false;
+  }
+}
+
+function loadLicenseKeys() {
+  if (!licenseState.keys) {
+    licenseState.keys = (async () => {
+      const jwks = [...LICENSE_PUBLIC_KEYS];
+      if (await isDevelopmentInstall()) jwks.push(LICENSE_DEV_PUBLIC_KEY);
+      const algorithm = { name: "ECDSA", namedCurve: "P-256" };
+      return Promise.all(jwks.map((jwk) => crypto.subtle.importKey("jwk", jwk, algorithm, false, ["verify"])));
+    })();
+  }
+  return licenseState.keys;
+}
+
+/** Split a token and read its payload; null when it isn't shaped like one. */
+function decodeLicenseToken(token) {
+  const parts = String(token ?? "").trim().split(".");
+  if (parts.length !== 3 || parts[0] !== LICENSE_TOKEN_PREFIX) return null;
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(parts[1])));
+    if (!payload || typeof payload !== "object") return null;
+    return {
+      signed: new TextEncoder().encode(`${parts[0]}.${parts[1]}`),
+      signature: base64UrlToBytes(parts[2]),
+      payload,
+    };
+  } catch {
+    return null;
+  }
+}
+
+function isLicensePayload(p) {
+  return (
+    typeof p.lid === "string" &&
+    typeof p.email === "string" &&
+    Number.isInteger(p.seats) &&
+    p.seats > 0 &&
+    (p.exp === null || Number.isFinite(p.exp)) &&
+    (p.device === undefined || typeof p.device === "string") &&
+    (p.mode === undefined || typeof p.mode === "string")
+  );
+}
+
+/** The payload of a token signed by a trusted key, or null. */
+async function verifyLicenseToken(token) {
+  if (licenseState.verified.has(token)) return licenseState.verified.get(token);
+  const decoded = decodeLicenseToken(token);
+  let payload = null;
+  if (decoded && isLicensePayload(decoded.payload)) {
+    const algorithm = { name: "ECDSA", hash: "SHA-256" };
+    for (const key of await loadLicenseKeys()) {
+      if (await crypto.subtle.verify(algorithm, key, decoded.signature, decoded.signed)) {
+        payload = decoded.payload;
+        break;
+      }
+    }
+  }
+  licenseState.verified.set(token, payload);
+  return payload;
+}
+
+/** A stored check time, or 0 (never checked) when it's missing or lies in the future. */
+function pastCheckTime(value, now) {
+  const t = Number(value) || 0;
+  return t > now + LICENSE_CLOCK_SKEW_MS ? 0 : t;
+}
+
+/** Whether keys can be activated and re-checked with the license server in this build. */
+async function isOnlineLicensingEnabled() {
+  return LICENSE_ONLINE_ACTIVATION || isDevelopmentInstall();
+}
+
+async function getLicenseEndpoint() {
+  const stored = await readLocal("licenseEndpoint");
+  return typeof stored.licenseEndpoint === "string" ? stored.licenseEndpoint : LICENSE_DEFAULT_ENDPOINT;
+}
+
+/** https anywhere, or plain http for a server on this machine. */
+function normalizeLicenseEndpoint(raw) {
+  try {
+    const u = new URL(String(raw ?? "").trim());
+    const local = u.hostname === "localhost" || u.hostname === "127.0.0.1";
+    if (u.protocol !== "https:" && !(u.protocol === "http:" && local)) return null;
+    return u.href.replace(/\/+$/, "");
+  } catch {
+    return null;
+  }
+}
+
+/** POST to the license server. Resolves { status, data }, or null when it can't be reached. */
+async function licenseRequest(path, body) {
+  const endpoint = await getLicenseEndpoint();
+  if (!endpoint || !(await isOnlineLicensingEnabled())) return null;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LICENSE_FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(`${endpoint}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+    let data = {};
+    try {
+      data = asObject(await res.json());
+    } catch {
+      // ignore
+    }
+    return { status: res.status, data };
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * The stored license, verified: { active, status, details }. `status` is "none"
+ * ("reactivate" for a beta tester whose old Pro flag was dropped on update),
+ * "active", "grace" (online license the server hasn't confirmed lately),
+ * "unverified" (grace period over), "expired", "wrong_device" or "invalid".
+ */
+async function getLicenseState() {
+  const stored = await readLocal(["license", "syncDeviceId", "betaProEnded"]);
+  const license = asObject(stored.license);
+  if (typeof license.token !== "string") {
+    return { active: false, status: stored.betaProEnded ? "reactivate" : "none", details: null };
+  }
+
+  const payload = await verifyLicenseToken(license.token);
+  if (!payload) return { active: false, status: "invalid", details: null };
+
+  const now = Date.now();
+  const lastValidatedAt = pastCheckTime(license.lastValidatedAt, now);
+  const details = {
+    lid: payload.lid,
+    email: payload.email,
+    seats: payload.seats,
+    expiresAt: payload.exp,
+    online: Boolean(license.online),
+    lastValidatedAt: license.online ? lastValidatedAt : null,
+    graceEndsAt: license.online ? lastValidatedAt + LICENSE_GRACE_MS : null,
+  };
+
+  let status = "active";
+  // Stored as offline by a version that took any token; online ones must be re-activated.
+  if (!license.online && payload.mode !== "offline") status = "invalid";
+  else if (payload.device && payload.device !== stored.syncDeviceId) status = "wrong_device";
+  else if (payload.exp !== null && payload.exp <= now) status = "expired";
+  else if (license.online && now - lastValidatedAt > LICENSE_GRACE_MS) status = "unverified";
+  else if (license.online && now - lastValidatedAt > LICENSE_REVALIDATE_MS) status = "grace";
+
+  if (license.online && (status === "grace" || status === "unverified")) void revalidateLicense().catch(() => {});
+  return { active: status === "active" || status === "grace", status, details };
+}
+
+async function storeLicense(token, online) {
+  const now = Date.now();
+  await browser.storage.local.set({
+    license: { token, online, activatedAt: now, lastValidatedAt: online ? now : null },
+  });
+  await browser.storage.local.remove("betaProEnded");
+}
+
+/** Activate with a key (online) or a pasted token (offline). */
+function activateLicense(raw) {
+  return enqueueWrite(async () => {
+    if (looksLikeLicenseToken(raw)) {
+      const token = String(raw).trim();
+      const payload = await verifyLicenseToken(token);
+      if (!payload) return { ok: false, reason: "invalid" };
+      if (payload.mode !== "offline") return { ok: false, reason: "online_token" };
+      if (payload.device && payload.device !== (await getDeviceId())) return { ok: false, reason: "wrong_device" };
+      if (payload.exp !== null && payload.exp <= Date.now()) return { ok: false, reason: "expired" };
+      await storeLicense(token, false);
+      return { ok: true };
+    }
+
+    const key = sanitizeLicenseKeyInput(raw);
+    if (!LICENSE_KEY_REGEX.test(key)) return { ok: false, reason: "format" };
+    if (!(await isOnlineLicensingEnabled())) return { ok: false, reason: "online_unavailable" };
+    const res = await licenseRequest("/activate", { key, device: await getDeviceId() });
+    if (!res) return { ok: false, reason: "offline" };
+    if (res.status !== 200) {
+      return { ok: false, reason: typeof res.data.error === "string" ? res.data.error : "invalid" };
+    }
+    const token = String(res.data.token ?? "");
+    if (!(await verifyLicenseToken(token))) return { ok: false, reason: "bad_token" };
+    await storeLicense(token, true);
+    return { ok: true };
+  });
+}
+
+/**
+ * Ask the server whether the online license still stands. Only one check runs at
+ * a time, and at most one starts per LICENSE_RETRY_MS.
+ */
+function revalidateLicense() {
+  if (licenseState.revalidating) return licenseState.revalidating;
+  licenseState.revalidating = (async () => {
+    const { license, licenseCheckedAt } = await readLocal(["license", "licenseCheckedAt"]);
+    if (!license || !license.online || typeof license.token !== "string") return;
+    const now = Date.now();
+    if (now - pastCheckTime(licenseCheckedAt, now) < LICENSE_RETRY_MS) return;
+    // Its own key: content scripts refetch settings whenever "license" changes.
+    await browser.storage.local.set({ licenseCheckedAt: Date.now() });
+    const res = await licenseRequest("/validate", { token: license.token, device: await getDeviceId() });
+    // Unreachable: keep the license until the grace period runs out.
+    if (!res || res.status >= 500) return;
+    await enqueueWrite(async () => {
+      const current = asObject((await readLocal("license")).license);
+      if (current.token !== license.token) return;
+      if (res.status === 403 || res.status === 410) {
+        await browser.storage.local.remove("license");
+        return;
+      }
+      if (res.status !== 200) return;
+      const renewed = typeof res.data.token === "string" && (await verifyLicenseToken(res.data.token));
+      const token = renewed ? res.data.token : current.token;
+      await browser.storage.local.set({ license: { ...current, token, lastValidatedAt: Date.now() } });
+    });
+  })().finally(() => {
+    licenseState.revalidating = null;
+  });
+  return licenseState.revalidating;
+}
+
+/** Free the seat on the server (best effort) and forget the license here. */
+function deactivateLicense() {
+  return enqueueWrite(async () => {
+    const { license } = await readLocal("license");
+    let serverReached = true;
+    if (license && license.online && typeof license.token === "string") {
+      const res = await licenseRequest("/deactivate", { token: license.token, device: await getDeviceId() });
+      serverReached = Boolean(res && res.status === 200);
+    }
+    await browser.storage.local.remove(["license", "licenseCheckedAt"]);
+    return { ok: true, serverReached };
+  });
+}
+
+async function setLicenseEndpoint(raw) {
+  if (!raw) {
+    await browser.storage.local.remove("licenseEndpoint");
+    return { ok: true, endpoint: LICENSE_DEFAULT_ENDPOINT };
+  }
+  const endpoint = normalizeLicenseEndpoint(raw);
+  if (!endpoint) return { ok: false, reason: "bad_endpoint" };
+  await browser.storage.local.set({ licenseEndpoint: endpoint });
+  return { ok: true, endpoint };
+}
+
+void ready
+  .then(async () => {
+    const { license } = await readLocal("license");
+    if (!license || !license.online) return;
+    const now = Date.now();
+    if (now - pastCheckTime(license.lastValidatedAt, now) > LICENSE_REVALIDATE_MS) await revalidateLicense();
+  })
+  .catch(() => {});
@@ -0,0 +1,152 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+
+// True-peak lookahead limiter. Audio is delayed by LOOKAHEAD_SECONDS while the
+// gain envelope looks ahead at 4× interpolated peaks, so the gain is already
+// down when a loud transient reaches the output. A final clamp guarantees the
+// ceiling is never exceeded even if the envelope is late.
+
+const LOOKAHEAD_SECONDS = 0.005;
+const RELEASE_SECONDS = 0.1;
+const REPORT_SECONDS = 0.05;
+
+class LimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "ceilingDb",
+        defaultValue: -1,
+        minValue: -12,
+        maxValue: 0,
+        automationRate: "k-rate",
+      },
+    ];
+  }
+
+  constructor() {
+    super();
+    this.lookahead = Math.max(1, Math.round(sampleRate * LOOKAHEAD_SECONDS));
+    let size = 1;
+    while (size < this.lookahead + 1) size <<= 1;
+    this.size = size;
+    this.mask = size - 1;
+
+    this.delays = [];
+    this.history = [];
+    // Sliding-window minimum of the target gain (monotonic deque over a ring).
+    this.targets = new Float32Array(size);
+    this.dequeIdx = new Float64Array(size);
+    this.dequeHead = 0;
+    this.dequeTail = 0;
+    this.pos = 0;
+
+    this.env = 1;
+    this.attackCoef = Math.exp(-1 / Math.max(1, this.lookahead / 5));
+    this.releaseCoef = Math.exp(-1 / (sampleRate * RELEASE_SECONDS));
+
+    this.reportEvery = Math.round(sampleRate * REPORT_SECONDS);
+    this.sinceReport = 0;
+    this.minGain = 1;
+    this.overs = 0;
+  }
+
+  channelState(c) {
+    if (!this.delays[c]) {
+      this.delays[c] = new Float32Array(this.size);
+      this.history[c] = new Float32Array(4);
+    }
+    return { delay: this.delays[c], hist: this.history[c] };
+  }
+
+  /** Peak of the newest interval, including 4× Catmull-Rom inter-sample estimates. */
+  truePeak(hist) {
+    const [p0, p1, p2, p3] = hist;
+    let peak = Math.max(Math.abs(p1), Math.abs(p2));
+    for (let k = 1; k < 4; k++) {
+      const t = k / 4;
+      const t2 = t * t;
+      const t3 = t2 * t;
+      const v =
+        0.5 *
+        (2 * p1 +
+          (-p0 + p2) * t +
+          (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+          (-p0 + 3 * p1 - 3 * p2 + p3) * t3);
+      const a = Math.abs(v);
+      if (a > peak) peak = a;
+    }
+    return peak;
+  }
+
+  pushTarget(gain) {
+    const i = this.pos;
+    this.targets[i & this.mask] = gain;
+    while (this.dequeTail > this.dequeHead) {
+      const last = this.dequeIdx[(this.dequeTail - 1) & this.mask];
+      if (this.targets[last & this.mask] < gain) break;
+      this.dequeTail--;
+    }
+    this.dequeIdx[this.dequeTail & this.mask] = i;
+    this.dequeTail++;
+    while (this.dequeIdx[this.dequeHead & this.mask] <= i - this.lookahead - 1) this.dequeHead++;
+    return this.targets[this.dequeIdx[this.dequeHead & this.mask] & this.mask];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!output || output.length === 0) return true;
+    const frames = output[0].length;
+    const ceiling = Math.pow(10, parameters.ceilingDb[0] / 20);
+    const channels = output.length;
+
+    for (let n = 0; n < frames; n++) {
+      let peak = 0;
+      for (let c = 0; c < channels; c++) {
+        const src = input && input.length ? input[Math.min(c, input.length - 1)] : null;
+        const x = src ? src[n] : 0;
+        const { delay, hist } = this.channelState(c);
+        delay[this.pos & this.mask] = x;
+        hist[0] = hist[1];
+        hist[1] = hist[2];
+        hist[2] = hist[3];
+        hist[3] = x;
+        const p = this.truePeak(hist);
+        if (p > peak) peak = p;
+      }
+
+      const target = peak > ceiling ? ceiling / peak : 1;
+      const held = this.pushTarget(target);
+      const coef = held < this.env ? this.attackCoef : this.releaseCoef;
+      this.env = held + (this.env - held) * coef;
+      if (this.env < this.minGain) this.minGain = this.env;
+
+      const readPos = (this.pos - this.lookahead) & this.mask;
+      for (let c = 0; c < channels; c++) {
+        let y = this.delays[c][readPos] * this.env;
+        if (y > ceiling) {
+          y = ceiling;
+          this.overs++;
+        } else if (y < -ceiling) {
+          y = -ceiling;
+          this.overs++;
+        }
+        output[c][n] = y;
+      }
+      this.pos++;
+    }
+
+    this.sinceReport += frames;
+    if (this.sinceReport >= this.reportEvery) {
+      this.port.postMessage({
+        reductionDb: 20 * Math.log10(Math.max(1e-6, this.minGain)),
+        overs: this.overs,
+      });
+      this.sinceReport = 0;
+      this.minGain = 1;
+      this.overs = 0;
+    }
+    return true;
+  }
+}
+
+registerProcessor("sse-limiter", LimiterProcessor);
@@ -0,0 +1,62 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+
+// Short-term loudness meter (ITU-R BS.1770). Expects an already K-weighted
+// input; sums per-channel mean square over 100 ms blocks and reports the
+// loudness of the last 3 s of blocks in LUFS. Post "reset" to start over.
+
+const BLOCK_SECONDS = 0.1;
+const WINDOW_BLOCKS = 30;
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.blockSize = Math.round(sampleRate * BLOCK_SECONDS);
+    this.blocks = new Float64Array(WINDOW_BLOCKS);
+    this.reset();
+    this.port.onmessage = (e) => {
+      if (e.data === "reset") this.reset();
+    };
+  }
+
+  reset() {
+    this.blocks.fill(0);
+    this.blockCount = 0;
+    this.acc = 0;
+    this.accFrames = 0;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+    const frames = input[0].length;
+
+    for (let n = 0; n < frames; n++) {
+      let sum = 0;
+      for (let c = 0; c < input.length; c++) {
+        const x = input[c][n];
+        sum += x * x;
+      }
+      this.acc += sum;
+      this.accFrames++;
+
+      if (this.accFrames >= this.blockSize) {
+        this.blocks[this.blockCount % WINDOW_BLOCKS] = this.acc / this.accFrames;
+        this.blockCount++;
+        this.acc = 0;
+        this.accFrames = 0;
+
+        const filled = Math.min(this.blockCount, WINDOW_BLOCKS);
+        let total = 0;
+        for (let i = 0; i < filled; i++) total += this.blocks[i];
+        const meanSquare = total / filled;
+        this.port.postMessage({
+          shortTermLufs: meanSquare > 0 ? -0.691 + 10 * Math.log10(meanSquare) : -Infinity,
+          blocks: filled,
+        });
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("sse-loudness-meter", LoudnessMeterProcessor);
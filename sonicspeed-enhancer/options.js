@@ -0,0 +1,555 @@
+/* global browser */
+
+function setStatus(message) {
+  document.getElementById("status").textContent = message;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STALE_RULE_MS = 90 * DAY_MS;
+
+function formatLastUsed(ts) {
+  if (!ts) return "Not used since tracking started";
+  const days = Math.floor((Date.now() - ts) / DAY_MS);
+  if (days < 1) return "Used today";
+  return days === 1 ? "Used yesterday" : `Used ${days} days ago`;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function downloadJson(data, filename) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function loadCurrentBackup() {
+  const res = await sendBackgroundMessage("SSE_BACKUP_EXPORT");
+  return res && res.ok ? res.backup : null;
+}
+
+/**
+ * One row per rule, plus presets and hotkeys. `key` is what the choice is stored
+ * under ("@" can't appear in a rule); rows identical on both sides need no choice.
+ */
+function buildImportRows(current, incoming) {
+  const rows = [];
+  for (const [pattern, settings] of Object.entries(incoming.domainSettings)) {
+    const existing = current.domainSettings[pattern] ?? null;
+    rows.push({
+      key: pattern,
+      label: describeRule(pattern),
+      existing: existing ? describeSettings(existing) : null,
+      incoming: describeSettings(settings),
+      same: existing !== null && sameValue(existing, settings),
+    });
+  }
+  rows.sort((a, b) => a.key.localeCompare(b.key));
+  for (const preset of listUserPresets(incoming.userPresets || {})) {
+    const existing = (current.userPresets || {})[preset.id] ?? null;
+    rows.push({
+      key: `@p:${preset.id}`,
+      label: `Preset: ${preset.name}`,
+      existing: existing ? `${existing.name} · ${describeSettings(existing.settings)}` : null,
+      incoming: `${preset.name} · ${describeSettings(preset.settings)}`,
+      same: existing !== null && sameValue(existing, incoming.userPresets[preset.id]),
+    });
+  }
+  if (incoming.hotkeys) {
+    rows.push({
+      key: "@hotkeys",
+      label: "Hotkeys",
+      existing: "Current bindings",
+      incoming: "Bindings from file",
+      same: sameValue(current.hotkeys, incoming.hotkeys),
+    });
+  }
+  return rows;
+}
+
+function renderImportRows(listEl, rows, choices) {
+  listEl.replaceChildren();
+  for (const row of rows) {
+    const el = document.createElement("div");
+    el.className = "importRow";
+
+    const label = document.createElement("div");
+    label.className = "label";
+    const title = document.createElement("div");
+    title.className = "labelTitle";
+    title.textContent = row.label;
+    const hint = document.createElement("div");
+    hint.className = "labelHint";
+    hint.textContent = row.existing === null
+      ? `New · ${row.incoming}`
+      : row.same ? `Unchanged · ${row.incoming}` : `${row.existing} → ${row.incoming}`;
+    label.append(title, hint);
+    el.append(label);
+
+    if (!row.same) {
+      const select = document.createElement("select");
+      select.className = "textInput selectInput";
+      select.dataset.key = row.key;
+      select.setAttribute("aria-label", `Import choice for ${row.label}`);
+      const options = row.existing === null
+        ? [["incoming", "Add"], ["keep", "Skip"]]
+        : [["keep", "Keep existing"], ["incoming", "Use incoming"]];
+      for (const [value, text] of options) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = text;
+        select.append(option);
+      }
+      select.value = choices[row.key];
+      el.append(select);
+    }
+    listEl.append(el);
+  }
+}
+
+/** Rules matching `query`, most recently used first (or by name). */
+function filterRules(rules, query, sort) {
+  const q = query.trim().toLowerCase();
+  const out = q ? rules.filter((r) => r.pattern.includes(q) || describeRule(r.pattern).toLowerCase().includes(q)) : [...rules];
+  return out.sort((a, b) => {
+    if (sort === "lastUsed" && (a.lastApplied || 0) !== (b.lastApplied || 0)) return (b.lastApplied || 0) - (a.lastApplied || 0);
+    return a.pattern.localeCompare(b.pattern);
+  });
+}
+
+function ruleField(label, input) {
+  const field = document.createElement("label");
+  field.className = "ruleField";
+  field.append(label, input);
+  return field;
+}
+
+function ruleInput(rule, field, attrs) {
+  const input = document.createElement("input");
+  input.dataset.pattern = rule.pattern;
+  input.dataset.field = field;
+  Object.assign(input, attrs);
+  return input;
+}
+
+/** One row per rule with inline speed, boost, Night Mode and pitch; Pro-only fields lock on free plans. */
+function renderRuleList(listEl, rules, selected, isPro) {
+  listEl.replaceChildren();
+  for (const rule of rules) {
+    const el = document.createElement("div");
+    el.className = "importRow ruleRow";
+    const { settings } = rule;
+
+    const check = ruleInput(rule, "selected", { type: "checkbox", checked: selected.has(rule.pattern) });
+    check.setAttribute("aria-label", `Select ${describeRule(rule.pattern)}`);
+
+    const label = document.createElement("div");
+    label.className = "label";
+    const title = document.createElement("div");
+    title.className = "labelTitle";
+    title.textContent = describeRule(rule.pattern);
+    title.title = rule.pattern;
+    const hint = document.createElement("div");
+    hint.className = "labelHint";
+    hint.textContent = formatLastUsed(rule.lastApplied);
+    label.append(title, hint);
+
+    const number = { type: "number", className: "textInput" };
+    const copy = document.createElement("button");
+    copy.className = "btn btnPreset btnSaveMix";
+    copy.type = "button";
+    copy.textContent = "Copy…";
+    copy.dataset.copy = rule.pattern;
+
+    el.append(
+      check,
+      label,
+      ruleField("Speed", ruleInput(rule, "speed", { ...number, min: 0.1, max: 16, step: 0.05, value: settings.speed })),
+      ruleField("Boost %", ruleInput(rule, "volumeBoost", {
+        ...number,
+        min: 100,
+        max: maxBoostForPlan(isPro) * 100,
+        step: 10,
+        value: Math.round(settings.volumeBoost * 100),
+      })),
+      ruleField("Night", ruleInput(rule, "nightMode", { type: "checkbox", checked: settings.nightMode, disabled: !isPro })),
+      ruleField("Pitch", ruleInput(rule, "pitchSemitones", {
+        ...number,
+        min: -12,
+        max: 12,
+        step: 1,
+        value: settings.pitchSemitones,
+        disabled: !isPro,
+      })),
+      copy
+    );
+    listEl.append(el);
+  }
+}
+
+/** The value an inline rule field holds, in the units settings use. */
+function readRuleField(input) {
+  if (input.type === "checkbox") return input.checked;
+  const value = Number(input.value);
+  return input.dataset.field === "volumeBoost" ? value / 100 : value;
+}
+
+function presetButton(label, action, id, disabled) {
+  const btn = document.createElement("button");
+  btn.className = "btn btnPreset btnSaveMix";
+  btn.type = "button";
+  btn.textContent = label;
+  btn.dataset.action = action;
+  btn.dataset.id = id;
+  btn.disabled = disabled;
+  return btn;
+}
+
+/** Name field plus move, duplicate and delete buttons per preset. Copies are Pro-only, like saving. */
+function renderPresetList(listEl, presets, canEdit) {
+  listEl.replaceChildren();
+  presets.forEach((preset, i) => {
+    const el = document.createElement("div");
+    el.className = "importRow presetListRow";
+
+    const name = document.createElement("input");
+    name.className = "textInput";
+    name.type = "text";
+    name.maxLength = PRESET_NAME_MAX_LENGTH;
+    name.value = preset.name;
+    name.disabled = !canEdit;
+    name.dataset.id = preset.id;
+    name.title = describeSettings(preset.settings);
+    name.setAttribute("aria-label", `Name of preset ${preset.name}`);
+
+    const actions = document.createElement("div");
+    actions.className = "buttonRow";
+    actions.append(
+      presetButton("↑", "up", preset.id, !canEdit || i === 0),
+      presetButton("↓", "down", preset.id, !canEdit || i === presets.length - 1),
+      presetButton("Duplicate", "duplicate", preset.id, !canEdit),
+      presetButton("Delete", "delete", preset.id, false)
+    );
+    el.append(name, actions);
+    listEl.append(el);
+  });
+}
+
+function renderSyncStatus(sync) {
+  document.getElementById("syncEnabled").checked = sync.enabled;
+  const el = document.getElementById("syncStatus");
+  if (!sync.enabled) el.textContent = "Site rules, presets and trial usage through Firefox Sync.";
+  else if (sync.error) el.textContent = `Sync problem: ${sync.error}`;
+  else if (sync.lastSyncAt) el.textContent = `Last synced ${new Date(sync.lastSyncAt).toLocaleString()}.`;
+  else el.textContent = "Waiting to sync…";
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const fileInput = document.getElementById("importFile");
+  const preview = document.getElementById("importPreview");
+  const listEl = document.getElementById("importList");
+
+  // The file being imported and the keep/incoming choice for each row.
+  let pending = null;
+
+  function closePreview() {
+    pending = null;
+    preview.classList.add("viewHidden");
+    listEl.replaceChildren();
+    fileInput.value = "";
+  }
+
+  function setAllChoices(value) {
+    if (!pending) return;
+    for (const row of pending.rows) {
+      if (!row.same) pending.choices[row.key] = value;
+    }
+    renderImportRows(listEl, pending.rows, pending.choices);
+  }
+
+  const ruleListEl = document.getElementById("ruleList");
+  const ruleSearch = document.getElementById("ruleSearch");
+  const ruleSort = document.getElementById("ruleSort");
+  const ruleCopy = document.getElementById("ruleCopy");
+  const ruleCopyTargets = document.getElementById("ruleCopyTargets");
+  const deleteSelected = document.getElementById("ruleDeleteSelected");
+  let rules = [];
+  let rulesPro = false;
+  const selectedRules = new Set();
+  // The rule whose settings the copy bar is copying.
+  let copySource = null;
+
+  function renderRules() {
+    for (const pattern of [...selectedRules]) {
+      if (!rules.some((r) => r.pattern === pattern)) selectedRules.delete(pattern);
+    }
+    const shown = filterRules(rules, ruleSearch.value, ruleSort.value);
+    renderRuleList(ruleListEl, shown, selectedRules, rulesPro);
+    deleteSelected.disabled = selectedRules.size === 0;
+    deleteSelected.textContent = selectedRules.size ? `Delete selected (${selectedRules.size})` : "Delete selected";
+    document.getElementById("rulesHint").textContent = rules.length
+      ? `${shown.length} of ${rules.length} rules. Edits apply wherever the rule is used.`
+      : "No site rules yet. Settings saved from the popup show up here.";
+  }
+
+  async function refreshRules() {
+    const res = await sendBackgroundMessage("SSE_RULES_LIST");
+    if (!res || !res.ok) {
+      setStatus("Could not read site rules.");
+      return;
+    }
+    rules = res.rules;
+    rulesPro = res.plan.effectivePro;
+    renderRules();
+  }
+  void refreshRules();
+
+  ruleSearch.addEventListener("input", renderRules);
+  ruleSort.addEventListener("change", renderRules);
+
+  ruleListEl.addEventListener("change", async (e) => {
+    const { pattern, field } = e.target.dataset;
+    if (!pattern || !field) return;
+    if (field === "selected") {
+      if (e.target.checked) selectedRules.add(pattern);
+      else selectedRules.delete(pattern);
+      renderRules();
+      return;
+    }
+    const res = await sendBackgroundMessage("SSE_RULES_UPDATE", { pattern, changes: { [field]: readRuleField(e.target) } });
+    setStatus(res && res.ok ? `Saved ${describeRule(pattern)}.` : "Could not save that rule.");
+    await refreshRules();
+  });
+
+  ruleListEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-copy]");
+    if (!btn) return;
+    copySource = btn.dataset.copy;
+    document.getElementById("ruleCopySource").textContent =
+      `Copy the settings of ${describeRule(copySource)} to these sites, plus any selected rules:`;
+    ruleCopy.classList.remove("viewHidden");
+    ruleCopyTargets.focus();
+  });
+
+  document.getElementById("ruleCopyCancel").addEventListener("click", () => {
+    copySource = null;
+    ruleCopyTargets.value = "";
+    ruleCopy.classList.add("viewHidden");
+  });
+
+  document.getElementById("ruleCopyApply").addEventListener("click", async () => {
+    if (!copySource) return;
+    const typed = ruleCopyTargets.value.split(/[\s,]+/).filter(Boolean);
+    const to = [...typed, ...selectedRules];
+    if (to.length === 0) {
+      setStatus("Type a site or select rules to copy to.");
+      return;
+    }
+    const res = await sendBackgroundMessage("SSE_RULES_COPY", { from: copySource, to });
+    if (!res || !res.ok) {
+      setStatus(res && res.reason === "bad_pattern" ? `"${res.pattern}" isn't a site or rule pattern.` : "Could not copy.");
+      return;
+    }
+    setStatus(`Copied ${describeRule(copySource)} to ${res.copied.length} rules.`);
+    copySource = null;
+    ruleCopyTargets.value = "";
+    ruleCopy.classList.add("viewHidden");
+    await refreshRules();
+  });
+
+  document.getElementById("ruleSelectStale").addEventListener("click", () => {
+    const now = Date.now();
+    const stale = rules.filter((r) => r.pattern !== GLOBAL_RULE && r.lastApplied && now - r.lastApplied > STALE_RULE_MS);
+    for (const rule of stale) selectedRules.add(rule.pattern);
+    setStatus(stale.length ? `Selected ${stale.length} rules unused for 90 days or more.` : "No rules have gone unused for 90 days.");
+    renderRules();
+  });
+
+  deleteSelected.addEventListener("click", async () => {
+    const patterns = [...selectedRules];
+    if (!patterns.length || !window.confirm(`Delete ${patterns.length} site rules?`)) return;
+    const res = await sendBackgroundMessage("SSE_RULES_DELETE", { patterns });
+    if (!res || !res.ok) {
+      setStatus("Could not delete.");
+      return;
+    }
+    selectedRules.clear();
+    setStatus(`Deleted ${res.deleted} site rules.`);
+    await refreshRules();
+  });
+
+  // Rules also change from the popup, hotkeys and sync while this page is open.
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    const trialChanged = changes.trial && trialPhase(changes.trial.oldValue) !== trialPhase(changes.trial.newValue);
+    if (changes.domainSettings || changes.license || trialChanged) void refreshRules();
+  });
+
+  const presetListEl = document.getElementById("presetList");
+  let presets = [];
+  let canEditPresets = false;
+
+  async function refreshPresets() {
+    const [res, planRes] = await Promise.all([
+      sendBackgroundMessage("SSE_PRESETS_GET"),
+      sendBackgroundMessage("SSE_PLAN_GET"),
+    ]);
+    presets = res && res.ok ? res.presets : [];
+    canEditPresets = Boolean(planRes && planRes.ok && planRes.plan.effectivePro);
+    let hint = "No presets yet. Save one from the popup.";
+    if (presets.length) {
+      hint = canEditPresets
+        ? "Rename, reorder, copy or remove the presets shown as chips in the popup."
+        : "Editing presets needs Pro. You can still use, pin and remove them.";
+    }
+    document.getElementById("presetsHint").textContent = hint;
+    renderPresetList(presetListEl, presets, canEditPresets);
+  }
+  void refreshPresets();
+
+  presetListEl.addEventListener("change", async (e) => {
+    const id = e.target.dataset.id;
+    if (!id || e.target.tagName !== "INPUT") return;
+    const res = await sendBackgroundMessage("SSE_PRESET_UPDATE", { id, name: e.target.value });
+    if (res && res.ok) setStatus("Preset renamed.");
+    else setStatus(res && res.reason === "not_pro" ? "Editing presets needs Pro." : "Preset names can't be empty.");
+    await refreshPresets();
+  });
+
+  presetListEl.addEventListener("click", async (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    const { action, id } = btn.dataset;
+    let res = null;
+    if (action === "up" || action === "down") {
+      const ids = presets.map((p) => p.id);
+      const from = ids.indexOf(id);
+      const to = action === "up" ? from - 1 : from + 1;
+      if (from < 0 || to < 0 || to >= ids.length) return;
+      [ids[from], ids[to]] = [ids[to], ids[from]];
+      res = await sendBackgroundMessage("SSE_PRESET_REORDER", { ids });
+    } else if (action === "duplicate") {
+      res = await sendBackgroundMessage("SSE_PRESET_DUPLICATE", { id });
+    } else if (action === "delete") {
+      const preset = presets.find((p) => p.id === id);
+      if (!preset || !window.confirm(`Delete preset "${preset.name}"? Sites pinned to it go back to their rules.`)) return;
+      res = await sendBackgroundMessage("SSE_PRESET_DELETE", { id });
+    }
+    if (!res || !res.ok) setStatus(res && res.reason === "not_pro" ? "Editing presets needs Pro." : "Could not change presets.");
+    else setStatus("");
+    await refreshPresets();
+  });
+
+  void sendBackgroundMessage("SSE_SYNC_GET").then((res) => {
+    if (res && res.ok) renderSyncStatus(res.sync);
+  });
+
+  document.getElementById("syncEnabled").addEventListener("change", async (e) => {
+    const res = await sendBackgroundMessage("SSE_SYNC_SET", { enabled: e.currentTarget.checked });
+    if (!res || !res.ok) {
+      setStatus("Could not change sync.");
+      return;
+    }
+    renderSyncStatus(res.sync);
+  });
+
+  const endpointInput = document.getElementById("licenseEndpoint");
+  void sendBackgroundMessage("SSE_LICENSE_ENDPOINT_GET").then((res) => {
+    if (!res || !res.ok) return;
+    // Nothing to point at until this build activates keys online.
+    document.getElementById("licenseServer").classList.toggle("viewHidden", !res.online);
+    endpointInput.placeholder = res.defaultEndpoint ?? "";
+    endpointInput.value = res.endpoint === res.defaultEndpoint ? "" : res.endpoint ?? "";
+  });
+
+  document.getElementById("saveLicenseEndpoint").addEventListener("click", async () => {
+    const res = await sendBackgroundMessage("SSE_LICENSE_ENDPOINT_SET", { endpoint: endpointInput.value.trim() });
+    if (!res || !res.ok) {
+      setStatus("Use an https:// address, or http://localhost for a local server.");
+      return;
+    }
+    setStatus("License server saved.");
+  });
+
+  document.getElementById("exportBackup").addEventListener("click", async () => {
+    const backup = await loadCurrentBackup();
+    if (!backup) {
+      setStatus("Could not read settings.");
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJson(backup, `sonicspeed-backup-${date}.json`);
+    setStatus(`Exported ${Object.keys(backup.domainSettings).length} site rules.`);
+  });
+
+  document.getElementById("importBackup").addEventListener("click", () => fileInput.click());
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+    let incoming = null;
+    try {
+      incoming = sanitizeBackup(JSON.parse(await file.text()));
+    } catch {
+      incoming = null;
+    }
+    const current = await loadCurrentBackup();
+    if (!incoming || !current) {
+      closePreview();
+      setStatus(incoming ? "Could not read settings." : "That file isn't a SonicSpeed backup.");
+      return;
+    }
+
+    const rows = buildImportRows(current, incoming);
+    const choices = {};
+    for (const row of rows) choices[row.key] = row.existing === null ? "incoming" : "keep";
+    pending = { incoming, rows, choices };
+
+    const added = rows.filter((r) => r.existing === null).length;
+    const changed = rows.filter((r) => r.existing !== null && !r.same).length;
+    document.getElementById("importSummary").textContent =
+      `${file.name}: ${added} new, ${changed} different, ${rows.length - added - changed} unchanged.`;
+    renderImportRows(listEl, rows, choices);
+    preview.classList.remove("viewHidden");
+    setStatus("");
+  });
+
+  listEl.addEventListener("change", (e) => {
+    const key = e.target.dataset.key;
+    if (pending && key) pending.choices[key] = e.target.value;
+  });
+
+  document.getElementById("importKeepAll").addEventListener("click", () => setAllChoices("keep"));
+  document.getElementById("importTakeAll").addEventListener("click", () => setAllChoices("incoming"));
+  document.getElementById("importCancel").addEventListener("click", () => {
+    closePreview();
+    setStatus("Import cancelled.");
+  });
+
+  document.getElementById("importApply").addEventListener("click", async () => {
+    if (!pending) return;
+    const { incoming, choices } = pending;
+    const domains = {};
+    for (const pattern of Object.keys(incoming.domainSettings)) domains[pattern] = choices[pattern] ?? "incoming";
+    const presetChoices = {};
+    for (const id of Object.keys(incoming.userPresets || {})) presetChoices[id] = choices[`@p:${id}`] ?? "incoming";
+    const res = await sendBackgroundMessage("SSE_BACKUP_IMPORT", {
+      backup: buildBackup(incoming),
+      choices: { domains, presets: presetChoices, hotkeys: choices["@hotkeys"] },
+    });
+    if (!res || !res.ok) {
+      setStatus("Import failed.");
+      return;
+    }
+    closePreview();
+    setStatus(`Imported ${res.imported} site rules.`);
+    await Promise.all([refreshRules(), refreshPresets()]);
+  });
+});
@@ -0,0 +1,97 @@
+/* global AudioWorkletProcessor, registerProcessor, sampleRate */
+
+// Granular pitch shifter: two read taps sweep through a short delay line at a
+// rate set by the pitch ratio and are cross-faded with complementary sin²
+// windows, so pitch changes while the playback timeline stays untouched.
+
+const GRAIN_SECONDS = 0.05;
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      {
+        name: "pitchRatio",
+        defaultValue: 1,
+        minValue: 0.5,
+        maxValue: 2,
+        automationRate: "k-rate",
+      },
+    ];
+  }
+
+  constructor() {
+    super();
+    this.grainSize = Math.max(64, Math.round(sampleRate * GRAIN_SECONDS));
+    let size = 1;
+    while (size < this.grainSize * 2 + 4) size <<= 1;
+    this.bufferSize = size;
+    this.mask = size - 1;
+    this.buffers = [];
+    this.writeIndex = 0;
+    this.phase = 0;
+  }
+
+  bufferFor(channel) {
+    if (!this.buffers[channel]) this.buffers[channel] = new Float32Array(this.bufferSize);
+    return this.buffers[channel];
+  }
+
+  readAt(buffer, delay) {
+    const pos = this.writeIndex - delay;
+    const i = Math.floor(pos);
+    const frac = pos - i;
+    const a = buffer[i & this.mask];
+    const b = buffer[(i + 1) & this.mask];
+    return a + (b - a) * frac;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    if (!output || output.length === 0) return true;
+
+    const frames = output[0].length;
+    if (!input || input.length === 0) {
+      for (const ch of output) ch.fill(0);
+      return true;
+    }
+
+    const ratio = parameters.pitchRatio[0];
+    const bypass = Math.abs(ratio - 1) < 1e-4;
+    const step = (1 - ratio) / this.grainSize;
+    const startWrite = this.writeIndex;
+    const startPhase = this.phase;
+
+    for (let c = 0; c < output.length; c++) {
+      const src = input[Math.min(c, input.length - 1)];
+      const dst = output[c];
+      const buffer = this.bufferFor(c);
+      this.writeIndex = startWrite;
+      let phase = startPhase;
+
+      for (let n = 0; n < frames; n++) {
+        buffer[this.writeIndex & this.mask] = src[n];
+
+        if (bypass) {
+          dst[n] = src[n];
+        } else {
+          phase += step;
+          phase -= Math.floor(phase);
+          const p2 = phase + 0.5 - Math.floor(phase + 0.5);
+          const w1 = Math.sin(Math.PI * phase);
+          const w2 = Math.sin(Math.PI * p2);
+          dst[n] =
+            this.readAt(buffer, 1 + phase * this.grainSize) * w1 * w1 +
+            this.readAt(buffer, 1 + p2 * this.grainSize) * w2 * w2;
+        }
+        this.writeIndex++;
+      }
+      if (c === output.length - 1) this.phase = phase;
+    }
+
+    this.writeIndex &= this.mask;
+    return true;
+  }
+}
+
+registerProcessor("sse-pitch-shifter", PitchShifterProcessor);
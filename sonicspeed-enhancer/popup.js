@@ -1,47 +1,77 @@
 /* global browser */
 
-const DEFAULTS = Object.freeze({
-  volumeBoost: 1,
-  speed: 1,
-  nightMode: false,
-  pitchSemitones: 0,
-});
+// Slider bounds come from COMPRESSOR_LIMITS so the popup offers exactly what sanitizeCompressor keeps.
+const COMPRESSOR_FIELDS = Object.freeze([
+  { key: "threshold", label: "Threshold", step: 1, format: (v) => `${v} dB` },
+  { key: "knee", label: "Knee", step: 1, format: (v) => `${v} dB` },
+  { key: "ratio", label: "Ratio", step: 0.5, format: (v) => `${v}:1` },
+  { key: "attack", label: "Attack", step: 0.001, format: (v) => `${Math.round(v * 1000)} ms` },
+  { key: "release", label: "Release", step: 0.01, format: (v) => `${Math.round(v * 1000)} ms` },
+  { key: "makeupDb", label: "Makeup", step: 0.5, format: (v) => `+${v} dB` },
+].map((field) => Object.freeze({ ...field, ...COMPRESSOR_LIMITS[field.key] })));
 
-const LICENSE_ACCEPTED_SANITIZED = "OFFLINEBETA2026";
 const PRO_URL = "https://example.com/sonicspeed-pro";
-const TRIAL_DURATION_MS = 15 * 60 * 1000;
 const VIZ_BOOST_PRO = 1.5;
 
 const PRESETS = Object.freeze({
-  movie: { volumeBoost: 1.5, speed: 1, nightMode: true, pitchSemitones: 0 },
-  music: { volumeBoost: 1, speed: 1, nightMode: false, pitchSemitones: 0 },
-  podcast: { volumeBoost: 1.2, speed: 1.2, nightMode: true, pitchSemitones: 0 },
+  movie: {
+    volumeBoost: 1.5,
+    speed: 1,
+    nightMode: true,
+    pitchSemitones: 0,
+    eqGains: [2, 1, 0, -1, 0, 1, 3, 2, 1, 0],
+    voiceClarity: true,
+    skipSilence: false,
+  },
+  music: {
+    volumeBoost: 1,
+    speed: 1,
+    nightMode: false,
+    pitchSemitones: 0,
+    eqGains: [3, 2, 1, 0, -1, -1, 0, 1, 2, 3],
+    voiceClarity: false,
+    skipSilence: false,
+  },
+  podcast: {
+    volumeBoost: 1.2,
+    speed: 1.2,
+    nightMode: true,
+    pitchSemitones: 0,
+    eqGains: [-6, -4, -2, 0, 1, 2, 3, 2, 0, -2],
+    voiceClarity: true,
+    skipSilence: true,
+  },
 });
 
-function clampNumber(value, min, max) {
-  if (!Number.isFinite(value)) return min;
-  return Math.min(max, Math.max(min, value));
-}
+const HOTKEY_LABELS = Object.freeze({
+  speedUp: "Speed up",
+  speedDown: "Slow down",
+  speedReset: "Reset speed",
+  boostUp: "Boost up",
+  boostDown: "Boost down",
+  toggleNightMode: "Night Mode",
+  pitchUp: "Pitch up",
+  pitchDown: "Pitch down",
+});
 
-function formatPercentFromBoost(boost) {
-  return `${Math.round(boost * 100)}%`;
+function formatBandHz(hz) {
+  return hz >= 1000 ? `${hz / 1000}k` : String(hz);
 }
 
-function formatSpeed(speed) {
-  return `${speed.toFixed(1)}×`;
+function formatLufs(lufs) {
+  return `${Math.round(lufs)} LUFS`;
 }
 
-// License key: allow only a-zA-Z0-9 to prevent injection. Strip any other characters.
-const LICENSE_KEY_SAFE_REGEX = /^[a-zA-Z0-9]+$/;
+function formatCeiling(db) {
+  return `${Number(db).toFixed(1)} dBTP`;
+}
 
-function sanitizeLicenseKeyInput(raw) {
-  const str = String(raw ?? "");
-  const alnumOnly = str.replace(/[^a-zA-Z0-9]/g, "");
-  return alnumOnly.toUpperCase();
+function formatGap(ms) {
+  return `${(ms / 1000).toFixed(2)} s`;
 }
 
-function isLicenseKeyValidFormat(sanitized) {
-  return LICENSE_KEY_SAFE_REGEX.test(sanitized);
+function formatRampMinutes(minutes) {
+  return `${minutes} min of playback`;
 }
 
 async function getActiveTab() {
@@ -49,117 +79,193 @@ async function getActiveTab() {
   return tabs[0] ?? null;
 }
 
-function getHostnameFromUrl(urlString) {
-  try {
-    const u = new URL(urlString);
-    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
-    return u.hostname;
-  } catch {
-    return null;
-  }
-}
+const FREE_PLAN = Object.freeze({
+  isPro: false,
+  trialStartTime: null,
+  trialRemainingMs: 0,
+  trialUsed: false,
+  trialExpired: false,
+  effectivePro: false,
+});
 
-async function loadDomainSettings(hostname) {
-  const stored = await browser.storage.local.get("domainSettings");
-  const all = stored.domainSettings && typeof stored.domainSettings === "object"
-    ? stored.domainSettings
-    : {};
-  const forDomain = all[hostname] && typeof all[hostname] === "object" ? all[hostname] : {};
-  return {
-    all,
-    settings: {
-      volumeBoost: clampNumber(Number(forDomain.volumeBoost ?? DEFAULTS.volumeBoost), 1, 6),
-      speed: clampNumber(Number(forDomain.speed ?? DEFAULTS.speed), 0.1, 16),
-      nightMode: Boolean(forDomain.nightMode ?? DEFAULTS.nightMode),
-      pitchSemitones: clampNumber(Number(forDomain.pitchSemitones ?? DEFAULTS.pitchSemitones), -12, 12),
-    },
-  };
+async function loadPlan() {
+  const res = await sendBackgroundMessage("SSE_PLAN_GET");
+  return res && res.ok ? res.plan : { ...FREE_PLAN };
 }
 
-async function saveDomainSettings(hostname, allDomainSettings, settings) {
-  const nextAll = { ...allDomainSettings, [hostname]: { ...settings } };
-  await browser.storage.local.set({ domainSettings: nextAll });
-  return nextAll;
+/**
+ * Settings for the page at `url` plus the rule they came from and the scopes it
+ * could be saved under; already gated for the current plan by the background script.
+ * When tab `tabId` runs on temporary settings, those are `settings`.
+ */
+async function loadSiteSettings(url, tabId) {
+  const res = await sendBackgroundMessage("SSE_SETTINGS_GET", { url, tabId });
+  if (res && res.ok) return res;
+  const settings = { ...DEFAULTS };
+  return { settings, savedSettings: settings, tabOverride: false, rule: null, hasGlobal: false, pinnedPreset: null, scopes: [] };
 }
 
-async function loadIsPro() {
-  try {
-    const stored = await browser.storage.local.get("isPro");
-    return Boolean(stored.isPro ?? false);
-  } catch {
-    return false;
-  }
+/** User presets in display order and the id pinned to the page at `url`. */
+async function loadUserPresets(url) {
+  const res = await sendBackgroundMessage("SSE_PRESETS_GET", { url });
+  return res && res.ok ? res : { presets: [], pinnedId: null };
 }
 
-async function saveIsPro(isPro) {
-  try {
-    await browser.storage.local.set({ isPro: Boolean(isPro) });
-  } catch {
-    // ignore
-  }
+/**
+ * Save under `scope`, or the rule in effect when omitted. Resolves { rule, settings, narrower }
+ * (the more specific rules that still win on this page) or null.
+ */
+async function saveSiteSettings(url, settings, scope) {
+  const res = await sendBackgroundMessage("SSE_SETTINGS_SET", { url, settings, scope });
+  return res && res.ok ? res : null;
 }
 
-async function loadTrialStartTime() {
-  try {
-    const stored = await browser.storage.local.get("trialStartTime");
-    const t = stored.trialStartTime;
-    return typeof t === "number" && t > 0 ? t : null;
-  } catch {
-    return null;
-  }
+const KEY_CODE_NAMES = Object.freeze({
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Semicolon: ";",
+  Quote: "'",
+  Minus: "-",
+  Equal: "=",
+  Backquote: "`",
+  Backslash: "\\",
+  Space: "Space",
+});
+
+function formatCombo(combo) {
+  if (!combo) return "—";
+  return combo
+    .split("+")
+    .map((part) => {
+      if (KEY_CODE_NAMES[part]) return KEY_CODE_NAMES[part];
+      if (/^Key[A-Z]$/.test(part)) return part.slice(3);
+      if (/^Digit[0-9]$/.test(part)) return part.slice(5);
+      if (/^Numpad/.test(part)) return `Num ${part.slice(6)}`;
+      return part;
+    })
+    .join(" + ");
 }
 
-async function saveTrialStartTime(timestamp) {
-  try {
-    if (timestamp == null) {
-      await browser.storage.local.remove("trialStartTime");
-    } else {
-      await browser.storage.local.set({ trialStartTime: timestamp });
-    }
-  } catch {
-    // ignore
-  }
+function isModifierCode(code) {
+  return /^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/.test(code);
 }
 
-function getTrialRemainingMs(startTime) {
-  if (!startTime) return 0;
-  const elapsed = Date.now() - startTime;
-  return Math.max(0, TRIAL_DURATION_MS - elapsed);
+function describePingStatus(pingRes, hostname) {
+  if (!pingRes) return `Ready on ${hostname}.`;
+  const videoCount = Number(pingRes.videoCount) || 0;
+  const audioCount = Number(pingRes.audioCount) || 0;
+  if (videoCount + audioCount === 0) return `No <video> or <audio> found on ${hostname}.`;
+  const found = [];
+  if (videoCount) found.push(`${videoCount} video`);
+  if (audioCount) found.push(`${audioCount} audio`);
+  return `Ready on ${hostname} (${found.join(", ")}).`;
 }
 
-function isTrialActive(startTime) {
-  return getTrialRemainingMs(startTime) > 0;
+function renderRule(rule, scopes, hostname, hasGlobal, pinnedPreset) {
+  const active = document.getElementById("ruleActive");
+  const select = document.getElementById("ruleScope");
+  const onGlobal = rule === GLOBAL_RULE && !pinnedPreset;
+  if (pinnedPreset) active.textContent = `Using preset ${pinnedPreset.name} (pinned)`;
+  else if (onGlobal) active.textContent = `Using global defaults · changes save to ${hostname}`;
+  else active.textContent = rule ? `Using ${describeRule(rule)}` : `No rule yet · saves to ${hostname}`;
+  document.getElementById("saveOverride").classList.toggle("viewHidden", !onGlobal);
+  // Nothing to fall back to without a global profile, and nothing to drop when already on it.
+  document.getElementById("resetGlobal").disabled = !hasGlobal || onGlobal || Boolean(pinnedPreset);
+  select.replaceChildren();
+  for (const scope of scopes) {
+    const option = document.createElement("option");
+    option.value = scope;
+    option.textContent = describeRule(scope);
+    select.append(option);
+  }
+  select.value = rule && scopes.includes(rule) ? rule : hostname;
 }
 
-async function loadMyMix() {
-  try {
-    const stored = await browser.storage.local.get("myMix");
-    const m = stored.myMix;
-    if (!m || typeof m !== "object") return null;
-    return {
-      volumeBoost: clampNumber(Number(m.volumeBoost ?? 1), 1, 6),
-      speed: clampNumber(Number(m.speed ?? 1), 0.1, 16),
-      nightMode: Boolean(m.nightMode ?? false),
-      pitchSemitones: clampNumber(Number(m.pitchSemitones ?? 0), -12, 12),
-    };
-  } catch {
-    return null;
+/** One chip per user preset after the built-ins, and the site-default choices. */
+function renderUserPresets(presets, pinnedId) {
+  const row = document.getElementById("presetRow");
+  row.querySelectorAll(".userPreset").forEach((el) => el.remove());
+  for (const preset of presets) {
+    const chip = document.createElement("button");
+    chip.className = "btn btnPreset presetChip userPreset";
+    chip.type = "button";
+    chip.dataset.presetId = preset.id;
+    chip.textContent = preset.name;
+    chip.title = preset.name;
+    row.append(chip);
   }
+
+  const select = document.getElementById("pinPreset");
+  select.replaceChildren();
+  for (const [value, text] of [["", "None"], ...presets.map((p) => [p.id, p.name])]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.append(option);
+  }
+  select.value = pinnedId && presets.some((p) => p.id === pinnedId) ? pinnedId : "";
 }
 
-async function saveMyMixToStorage(settings) {
-  try {
-    await browser.storage.local.set({
-      myMix: {
-        volumeBoost: settings.volumeBoost,
-        speed: settings.speed,
-        nightMode: settings.nightMode,
-        pitchSemitones: settings.pitchSemitones,
-      },
-    });
-  } catch {
-    // ignore
+/** Show whether this tab runs on temporary settings and how they differ from the saved profile. */
+function renderTabOverride(active, settings, savedSettings) {
+  document.getElementById("tabOnly").checked = active;
+  document.getElementById("tabOverrideBar").classList.toggle("viewHidden", !active);
+  if (!active) return;
+  const tabText = describeSettings(settings);
+  const savedText = describeSettings(savedSettings);
+  document.getElementById("tabOverrideText").textContent = tabText === savedText
+    ? `This tab only: ${tabText}, same as the saved profile so far.`
+    : `This tab only: ${tabText}. Saved profile: ${savedText}.`;
+}
+
+const LICENSE_STATUS_TEXT = Object.freeze({
+  reactivate: "The beta Pro unlock has ended. Activate Pro again with your license",
+  active: "Active",
+  grace: "Active, not confirmed by the license server recently",
+  unverified: "Paused until the license server can confirm it",
+  expired: "Expired",
+  wrong_device: "Issued for another device",
+  invalid: "Not valid",
+});
+
+const LICENSE_ERROR_TEXT = Object.freeze({
+  format: "Invalid key format. Use letters and numbers, grouped with dashes.",
+  offline: "Could not reach the license server. Try again, or paste an offline token.",
+  online_unavailable: "Keys can't be activated online yet. Paste the offline license token you received instead.",
+  invalid_key: "Invalid key.",
+  seats: "All seats for this key are in use. Deactivate Pro on another device first.",
+  revoked: "This license has been revoked.",
+  invalid: "Invalid license token.",
+  bad_token: "The license server sent a token that could not be verified.",
+  expired: "This license has expired.",
+  wrong_device: "This license token was issued for another device.",
+  online_token: "This token comes from online activation. Enter your license key instead.",
+});
+
+/** Show who the license belongs to, when it runs out and whether the server still vouches for it. */
+function renderLicense(license) {
+  const el = document.getElementById("licenseDetails");
+  const details = license && license.details;
+  el.classList.toggle("viewHidden", !license || license.status === "none");
+  if (!license || license.status === "none") return;
+  const date = (ms) => new Date(ms).toLocaleDateString();
+  const lines = [`Status: ${LICENSE_STATUS_TEXT[license.status] ?? license.status}`];
+  if (details) {
+    lines.push(`Licensed to ${details.email}`);
+    lines.push(details.expiresAt === null ? "Never expires" : `Expires ${date(details.expiresAt)}`);
+    lines.push(`${details.seats} ${details.seats === 1 ? "seat" : "seats"}`);
+    if (!details.online) lines.push("Activated offline");
+    else if (details.lastValidatedAt) lines.push(`Last checked ${date(details.lastValidatedAt)}`);
+    if (license.status === "grace") lines.push(`Works offline until ${date(details.graceEndsAt)}`);
   }
+  el.textContent = lines.join(" · ");
 }
 
 function setStatus(el, message) {
@@ -167,7 +273,7 @@ function setStatus(el, message) {
 }
 
 function setControlsEnabled(enabled) {
-  const ids = ["volume", "speed", "nightMode", "pitch", "reset", "tabHome", "tabLicense", "licenseKey", "activate", "deactivate", "goPro", "startTrial", "presetMovie", "presetMusic", "presetPodcast", "presetMyMix", "saveMyMix", "trialOverlayUpgrade"];
+  const ids = ["volume", "limiterCeiling", "autoGain", "targetLufs", "speed", "siteSpeedWins", "speedRamp", "rampStart", "rampTarget", "rampMinutes", "rampRestart", "skipSilence", "silenceThreshold", "silenceMinGap", "nightMode", "compDefaults", ...COMPRESSOR_FIELDS.map((f) => `comp_${f.key}`), "voiceClarity", "pitch", "showHud", "eqFlat", ...EQ_BANDS_HZ.map((_, i) => `eq${i}`), "reset", "resetGlobal", "ruleScope", "saveScope", "keepNarrower", "deleteNarrower", "saveOverride", "tabOnly", "commitTabOverride", "discardTabOverride", "mediaAll", "mediaRefresh", "tabHome", "tabLicense", "licenseKey", "activate", "deactivate", "goPro", "startTrial", "presetMovie", "presetMusic", "presetPodcast", "managePresets", "presetName", "savePreset", "pinPreset", "trialOverlayUpgrade", "resetHotkeys", "openOptions"];
   for (const id of ids) {
     const el = document.getElementById(id);
     if (el) el.disabled = !enabled;
@@ -200,12 +306,14 @@ function refreshProUi(effectivePro) {
   applyProGatingToUi(effectivePro);
 }
 
-/** Return preset settings clamped for current plan (free vs pro). myMix loads from storage. */
-function presetForPlan(presetKey, isPro) {
-  if (presetKey === "myMix") return null; // myMix is resolved async in applyPreset
+/**
+ * Return built-in preset settings clamped for current plan (free vs pro).
+ * Fields a preset doesn't define (e.g. showHud) are kept from `base`.
+ */
+function presetForPlan(presetKey, isPro, base) {
   const p = PRESETS[presetKey];
   if (!p) return null;
-  return sanitizeSettingsForPlan(p, isPro);
+  return sanitizeSettings({ ...base, ...p }, isPro);
 }
 
 function renderUi(settings) {
@@ -215,24 +323,174 @@ function renderUi(settings) {
   const volume = document.getElementById("volume");
   const speed = document.getElementById("speed");
   const nightMode = document.getElementById("nightMode");
+  const voiceClarity = document.getElementById("voiceClarity");
   const pitch = document.getElementById("pitch");
+  const showHud = document.getElementById("showHud");
 
   volume.value = String(settings.volumeBoost);
   speed.value = String(settings.speed);
   nightMode.checked = Boolean(settings.nightMode);
+  voiceClarity.checked = Boolean(settings.voiceClarity);
   pitch.value = String(settings.pitchSemitones);
+  showHud.checked = Boolean(settings.showHud);
+  document.getElementById("limiterCeiling").value = String(settings.limiterCeilingDb);
+  document.getElementById("limiterCeilingValue").textContent = formatCeiling(settings.limiterCeilingDb);
+  document.getElementById("autoGain").checked = Boolean(settings.autoGain);
+  document.getElementById("targetLufs").value = String(settings.targetLufs);
+  document.getElementById("targetLufsValue").textContent = formatLufs(settings.targetLufs);
+  document.getElementById("targetLufsBlock").classList.toggle("viewHidden", !settings.autoGain);
+  document.getElementById("skipSilence").checked = Boolean(settings.skipSilence);
+  document.getElementById("silenceThreshold").value = String(settings.silenceThresholdDb);
+  document.getElementById("silenceThresholdValue").textContent = `${settings.silenceThresholdDb} dB`;
+  document.getElementById("silenceMinGap").value = String(settings.silenceMinGapMs);
+  document.getElementById("silenceMinGapValue").textContent = formatGap(settings.silenceMinGapMs);
+  document.getElementById("skipSilenceBlock").classList.toggle("viewHidden", !settings.skipSilence);
+  document.getElementById("siteSpeedWins").checked = Boolean(settings.siteSpeedWins);
+  document.getElementById("speedRamp").checked = Boolean(settings.speedRamp);
+  document.getElementById("rampStart").value = String(settings.rampStartSpeed);
+  document.getElementById("rampStartValue").textContent = formatRampSpeed(settings.rampStartSpeed);
+  document.getElementById("rampTarget").value = String(settings.rampTargetSpeed);
+  document.getElementById("rampTargetValue").textContent = formatRampSpeed(settings.rampTargetSpeed);
+  document.getElementById("rampMinutes").value = String(settings.rampMinutes);
+  document.getElementById("rampMinutesValue").textContent = formatRampMinutes(settings.rampMinutes);
+  const rampBlock = document.getElementById("speedRampBlock");
+  rampBlock.classList.toggle("viewHidden", !settings.speedRamp);
+  // Progress isn't a control; it rides along so saving the popup doesn't drop it.
+  rampBlock.dataset.reached = settings.rampReachedSpeed === null ? "" : String(settings.rampReachedSpeed);
 
   volumeValue.textContent = formatPercentFromBoost(settings.volumeBoost);
   speedValue.textContent = formatSpeed(settings.speed);
   pitchValue.textContent = String(settings.pitchSemitones);
 
   volume.classList.toggle("sliderUltraBoost", settings.volumeBoost > 3);
+  renderEqValues(settings.eqGains);
+  renderCompressorValues(settings.compressor);
+}
+
+function buildCompressorEditor(container) {
+  container.replaceChildren();
+  for (const field of COMPRESSOR_FIELDS) {
+    const row = document.createElement("div");
+    row.className = "row compRow";
+
+    const label = document.createElement("span");
+    label.className = "compLabel";
+    label.textContent = field.label;
+
+    const value = document.createElement("span");
+    value.className = "value compValue";
+    value.id = `comp_${field.key}_value`;
+
+    row.append(label, value);
+
+    const slider = document.createElement("input");
+    slider.id = `comp_${field.key}`;
+    slider.className = "slider compSlider";
+    slider.type = "range";
+    slider.min = String(field.min);
+    slider.max = String(field.max);
+    slider.step = String(field.step);
+    slider.dataset.key = field.key;
+    slider.setAttribute("aria-label", `Compressor ${field.label.toLowerCase()}`);
+
+    container.append(row, slider);
+  }
+}
+
+function renderCompressorValues(compressor) {
+  const c = sanitizeCompressor(compressor);
+  for (const field of COMPRESSOR_FIELDS) {
+    const slider = document.getElementById(`comp_${field.key}`);
+    const value = document.getElementById(`comp_${field.key}_value`);
+    if (slider) slider.value = String(c[field.key]);
+    if (value) value.textContent = field.format(c[field.key]);
+  }
+}
+
+function readCompressorUi() {
+  const raw = {};
+  for (const field of COMPRESSOR_FIELDS) {
+    const slider = document.getElementById(`comp_${field.key}`);
+    if (slider) raw[field.key] = Number(slider.value);
+  }
+  return sanitizeCompressor(raw);
+}
+
+function renderLimiterBadge(res) {
+  const badge = document.getElementById("limiterBadge");
+  if (!badge) return;
+  const active = Boolean(res && res.ok && res.active);
+  const limiting = active && Number(res.reductionDb) < -0.5;
+  const clipping = active && res.clipping === true;
+  badge.textContent = clipping ? "CLIP" : "LIMIT";
+  badge.classList.toggle("limiterOn", limiting || clipping);
+  badge.classList.toggle("limiterClip", clipping);
+  badge.title = active ? `Limiter: ${Math.min(0, Number(res.reductionDb) || 0).toFixed(1)} dB` : "Limiter idle";
+}
+
+/** The page couldn't load the pitch shifter, so the pitch setting has no effect there. */
+function renderPitchStatus(res) {
+  const status = document.getElementById("pitchStatus");
+  if (!status) return;
+  status.classList.toggle("viewHidden", !(res && res.ok && res.pitchUnavailable === true));
+}
+
+function renderGainReduction(reductionDb) {
+  const bar = document.getElementById("compMeterBar");
+  const value = document.getElementById("compMeterValue");
+  if (!bar || !value) return;
+  const db = clampNumber(Number(reductionDb), -30, 0);
+  bar.style.width = `${Math.round((-db / 30) * 100)}%`;
+  value.textContent = db < -0.05 ? `${db.toFixed(1)} dB` : "0 dB";
+}
+
+/** Build the compact EQ editor: one vertical slider per band. */
+function buildEqEditor(container) {
+  container.replaceChildren();
+  EQ_BANDS_HZ.forEach((hz, i) => {
+    const band = document.createElement("label");
+    band.className = "eqBand";
+
+    const slider = document.createElement("input");
+    slider.id = `eq${i}`;
+    slider.className = "eqSlider";
+    slider.type = "range";
+    slider.min = "-12";
+    slider.max = "12";
+    slider.step = "1";
+    slider.value = "0";
+    slider.dataset.band = String(i);
+    slider.setAttribute("aria-label", `EQ ${formatBandHz(hz)} Hz (dB)`);
+
+    const label = document.createElement("span");
+    label.className = "eqBandLabel";
+    label.textContent = formatBandHz(hz);
+
+    band.append(slider, label);
+    container.append(band);
+  });
+}
+
+function getEqSliders() {
+  return EQ_BANDS_HZ.map((_, i) => document.getElementById(`eq${i}`)).filter(Boolean);
+}
+
+function renderEqValues(eqGains) {
+  const gains = sanitizeEqGains(eqGains);
+  for (const slider of getEqSliders()) {
+    const db = gains[Number(slider.dataset.band)];
+    slider.value = String(db);
+    slider.title = `${db > 0 ? "+" : ""}${db} dB`;
+  }
 }
 
 function applyProGatingToUi(isPro) {
   const lockUltra = document.getElementById("lockUltra");
   const lockNightMode = document.getElementById("lockNightMode");
+  const lockVoiceClarity = document.getElementById("lockVoiceClarity");
   const lockPitch = document.getElementById("lockPitch");
+  const lockEq = document.getElementById("lockEq");
+  const eqBlock = document.getElementById("eqBlock");
   const lockViz = document.getElementById("lockViz");
   const lockPresets = document.getElementById("lockPresets");
   const proCta = document.getElementById("proCta");
@@ -240,10 +498,13 @@ function applyProGatingToUi(isPro) {
   const vizStatus = document.getElementById("vizStatus");
   const presetRow = document.getElementById("presetRow");
   const startTrial = document.getElementById("startTrial");
-  const saveMyMix = document.getElementById("saveMyMix");
+  const presetSave = document.getElementById("presetSave");
 
   const nightModeRow = document.getElementById("nightModeRow");
   const nightModeInput = document.getElementById("nightMode");
+  const compAdvanced = document.getElementById("compAdvanced");
+  const voiceClarityRow = document.getElementById("voiceClarityRow");
+  const voiceClarityInput = document.getElementById("voiceClarity");
   const pitchBlock = document.getElementById("pitchBlock");
   const pitchSlider = document.getElementById("pitch");
   const volumeSlider = document.getElementById("volume");
@@ -252,22 +513,35 @@ function applyProGatingToUi(isPro) {
   const visibility = isPro ? "hidden" : "visible";
   lockUltra.style.visibility = visibility;
   if (lockNightMode) lockNightMode.style.visibility = visibility;
+  if (lockVoiceClarity) lockVoiceClarity.style.visibility = visibility;
   if (lockPitch) lockPitch.style.visibility = visibility;
+  if (lockEq) lockEq.style.visibility = visibility;
   if (lockViz) lockViz.style.visibility = visibility;
   if (lockPresets) lockPresets.style.visibility = visibility;
 
   if (presetRow) presetRow.classList.toggle("presetsLocked", !isPro);
   if (startTrial) startTrial.style.display = isPro ? "none" : "";
-  if (saveMyMix) saveMyMix.classList.toggle("viewHidden", !isPro);
+  if (presetSave) presetSave.classList.toggle("viewHidden", !isPro);
 
   if (!isPro) {
     if (nightModeRow) nightModeRow.classList.add("disabled");
     if (pitchBlock) pitchBlock.classList.add("disabled");
+    if (eqBlock) eqBlock.classList.add("disabled");
+    renderEqValues(EQ_FLAT);
+    for (const slider of getEqSliders()) slider.disabled = true;
     nightModeInput.checked = false;
     nightModeInput.disabled = true;
+    if (compAdvanced) {
+      compAdvanced.open = false;
+      compAdvanced.classList.add("disabled");
+    }
+    renderCompressorValues(COMPRESSOR_DEFAULTS);
+    if (voiceClarityRow) voiceClarityRow.classList.add("disabled");
+    voiceClarityInput.checked = false;
+    voiceClarityInput.disabled = true;
     pitchSlider.value = "0";
     pitchSlider.disabled = true;
-    volumeSlider.max = "3";
+    volumeSlider.max = String(maxBoostForPlan(false));
     vizWrap.classList.remove("viewHidden");
     vizWrap.classList.remove("vizLive");
     vizStatus.textContent = "\u{1F512}"; // lock icon
@@ -275,42 +549,61 @@ function applyProGatingToUi(isPro) {
   } else {
     if (nightModeRow) nightModeRow.classList.remove("disabled");
     if (pitchBlock) pitchBlock.classList.remove("disabled");
+    if (eqBlock) eqBlock.classList.remove("disabled");
+    for (const slider of getEqSliders()) slider.disabled = false;
     nightModeInput.disabled = false;
+    if (compAdvanced) compAdvanced.classList.remove("disabled");
+    if (voiceClarityRow) voiceClarityRow.classList.remove("disabled");
+    voiceClarityInput.disabled = false;
     pitchSlider.disabled = false;
-    volumeSlider.max = "6";
+    volumeSlider.max = String(maxBoostForPlan(true));
     vizWrap.classList.remove("viewHidden");
     vizStatus.textContent = "—";
     proCta.classList.add("viewHidden");
   }
 }
 
-function sanitizeSettingsForPlan(rawSettings, isPro) {
-  const s = rawSettings && typeof rawSettings === "object" ? rawSettings : DEFAULTS;
-  const pro = Boolean(isPro);
-  return {
-    volumeBoost: clampNumber(Number(s.volumeBoost ?? 1), 1, pro ? 6 : 3),
-    speed: clampNumber(Number(s.speed ?? 1), 0.1, 16),
-    nightMode: pro ? Boolean(s.nightMode ?? false) : false,
-    pitchSemitones: pro ? clampNumber(Number(s.pitchSemitones ?? 0), -12, 12) : 0,
-  };
-}
-
 function readUiSettings(isPro) {
-  const volumeMax = isPro ? 6 : 3;
-  const volume = clampNumber(Number(document.getElementById("volume").value), 1, volumeMax);
+  const volume = clampNumber(Number(document.getElementById("volume").value), 1, maxBoostForPlan(isPro));
   const speed = clampNumber(Number(document.getElementById("speed").value), 0.1, 16);
   const nightMode = isPro ? Boolean(document.getElementById("nightMode").checked) : false;
+  const voiceClarity = isPro ? Boolean(document.getElementById("voiceClarity").checked) : false;
   const pitchSemitones = isPro
     ? clampNumber(Number(document.getElementById("pitch").value), -12, 12)
     : 0;
-  return { volumeBoost: volume, speed, nightMode, pitchSemitones };
-}
-
-function createDebounced(fn, delayMs) {
-  let t = null;
-  return (...args) => {
-    if (t) clearTimeout(t);
-    t = setTimeout(() => fn(...args), delayMs);
+  const showHud = Boolean(document.getElementById("showHud").checked);
+  const eqGains = isPro
+    ? sanitizeEqGains(getEqSliders().map((el) => Number(el.value)))
+    : [...EQ_FLAT];
+  const compressor = isPro ? readCompressorUi() : { ...COMPRESSOR_DEFAULTS };
+  const limiterCeilingDb = clampNumber(Number(document.getElementById("limiterCeiling").value), -12, 0);
+  const autoGain = Boolean(document.getElementById("autoGain").checked);
+  const targetLufs = clampNumber(Number(document.getElementById("targetLufs").value), -30, -10);
+  const skipSilence = Boolean(document.getElementById("skipSilence").checked);
+  const silenceThresholdDb = clampNumber(Number(document.getElementById("silenceThreshold").value), -70, -20);
+  const silenceMinGapMs = clampNumber(Number(document.getElementById("silenceMinGap").value), 100, 3000);
+  const reached = document.getElementById("speedRampBlock").dataset.reached;
+  return {
+    volumeBoost: volume,
+    speed,
+    siteSpeedWins: Boolean(document.getElementById("siteSpeedWins").checked),
+    nightMode,
+    voiceClarity,
+    pitchSemitones,
+    showHud,
+    eqGains,
+    compressor,
+    limiterCeilingDb,
+    autoGain,
+    targetLufs,
+    skipSilence,
+    silenceThresholdDb,
+    silenceMinGapMs,
+    speedRamp: Boolean(document.getElementById("speedRamp").checked),
+    rampStartSpeed: clampNumber(Number(document.getElementById("rampStart").value), 0.5, 4),
+    rampTargetSpeed: clampNumber(Number(document.getElementById("rampTarget").value), 0.5, 4),
+    rampMinutes: clampNumber(Number(document.getElementById("rampMinutes").value), 1, 120),
+    rampReachedSpeed: reached ? Number(reached) : null,
   };
 }
 
@@ -327,22 +620,150 @@ async function sendApplyMessage(tabId, hostname, settings) {
   }
 }
 
-async function ping(tabId) {
+/** Send to one frame when `frameId` is a number, otherwise to every frame in the tab. */
+async function sendToFrame(tabId, frameId, message) {
   try {
-    const res = await browser.tabs.sendMessage(tabId, { type: "SSE_PING" });
+    const res = typeof frameId === "number"
+      ? await browser.tabs.sendMessage(tabId, message, { frameId })
+      : await browser.tabs.sendMessage(tabId, message);
     return res && typeof res === "object" ? res : null;
   } catch {
     return null;
   }
 }
 
-async function getVizFrame(tabId) {
+async function ping(tabId, frameId) {
+  return sendToFrame(tabId, frameId, { type: "SSE_PING" });
+}
+
+async function getVizFrame(tabId, frameId) {
+  return sendToFrame(tabId, frameId, { type: "SSE_GET_VIZ" });
+}
+
+async function getLimiterState(tabId, frameId) {
+  return sendToFrame(tabId, frameId, { type: "SSE_GET_LIMITER" });
+}
+
+async function getFrameIds(tabId) {
   try {
-    const res = await browser.tabs.sendMessage(tabId, { type: "SSE_GET_VIZ" });
-    return res && typeof res === "object" ? res : null;
+    const frames = await browser.webNavigation.getAllFrames({ tabId });
+    if (Array.isArray(frames) && frames.length > 0) return frames.map((f) => f.frameId);
   } catch {
-    return null;
+    // ignore
   }
+  return [0];
+}
+
+/** Ping every frame in the tab; each frame's content script reports the media it found. */
+async function discoverMediaFrames(tabId) {
+  const frameIds = await getFrameIds(tabId);
+  const results = await Promise.all(
+    frameIds.map(async (frameId) => {
+      const res = await ping(tabId, frameId);
+      return res ? { ...res, frameId } : null;
+    })
+  );
+  return results.filter(Boolean);
+}
+
+/** Frame whose media should drive the visualizer: playing first, then any media, then top. */
+function pickMediaFrame(frames) {
+  const frame =
+    frames.find((f) => Number(f.playingCount) > 0) ||
+    frames.find((f) => f.hasMedia) ||
+    null;
+  return frame ? frame.frameId : 0;
+}
+
+function summarizeMediaFrames(frames) {
+  if (frames.length === 0) return null;
+  return frames.reduce(
+    (acc, f) => ({
+      videoCount: acc.videoCount + (Number(f.videoCount) || 0),
+      audioCount: acc.audioCount + (Number(f.audioCount) || 0),
+    }),
+    { videoCount: 0, audioCount: 0 }
+  );
+}
+
+function formatMediaTime(sec) {
+  const total = Math.max(0, Math.floor(sec));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${s}` : `${m}:${s}`;
+}
+
+/** Every media element in the tab, from all frames, and the id currently targeted (if any). */
+async function listTabMedia(tabId) {
+  const frameIds = await getFrameIds(tabId);
+  const results = await Promise.all(frameIds.map((frameId) => sendToFrame(tabId, frameId, { type: "SSE_MEDIA_LIST" })));
+  const items = [];
+  let target = null;
+  for (const res of results) {
+    if (!res || !res.ok) continue;
+    items.push(...res.items);
+    target = target || res.target;
+  }
+  return { items, target };
+}
+
+function renderMediaList(listEl, items, target) {
+  listEl.replaceChildren();
+  items.forEach((item, i) => {
+    const row = document.createElement("div");
+    row.className = "mediaRow";
+    row.classList.toggle("mediaReleased", !item.controlled);
+
+    let thumb;
+    if (item.thumbnail) {
+      thumb = document.createElement("img");
+      thumb.src = item.thumbnail;
+      thumb.alt = "";
+    } else {
+      thumb = document.createElement("div");
+      thumb.textContent = item.kind === "video" ? "▶" : "♪";
+    }
+    thumb.className = "mediaThumb";
+
+    const label = document.createElement("div");
+    label.className = "label";
+    const title = document.createElement("div");
+    title.className = "labelTitle";
+    const size = item.kind === "video" && item.width ? ` ${item.width}×${item.height}` : "";
+    title.textContent = `${i + 1}. ${item.kind === "video" ? "Video" : "Audio"}${size}`;
+    const hint = document.createElement("div");
+    hint.className = "labelHint";
+    const parts = [item.duration === null ? "Live" : `${formatMediaTime(item.currentTime)} / ${formatMediaTime(item.duration)}`];
+    parts.push(item.playing ? "Playing" : "Paused");
+    if (item.muted) parts.push("Muted");
+    if (item.loop) parts.push("Loop");
+    if (item.main) parts.push("Main player");
+    if (item.ad) parts.push("Ad");
+    if (!item.controlled) parts.push("Not adjusted");
+    hint.textContent = parts.join(" · ");
+    label.append(title, hint);
+
+    const actions = document.createElement("div");
+    actions.className = "mediaActions";
+    const only = document.createElement("button");
+    only.type = "button";
+    only.className = `btn btnSaveMix ${target === item.id ? "btnPrimary" : "btnPreset"}`;
+    only.textContent = target === item.id ? "Only this ✓" : "Only this";
+    only.dataset.mediaTarget = target === item.id ? "" : item.id;
+    const exclude = document.createElement("button");
+    exclude.type = "button";
+    exclude.className = "btn btnPreset btnSaveMix";
+    exclude.textContent = item.excluded ? "Include" : "Exclude";
+    exclude.dataset.mediaExclude = item.id;
+    exclude.dataset.excluded = String(item.excluded);
+    // Exclusions don't matter while one element is targeted.
+    exclude.disabled = Boolean(target);
+    actions.append(only, exclude);
+
+    row.append(thumb, label, actions);
+    listEl.append(row);
+  });
 }
 
 function drawVisualizer(canvas, levels, boost) {
@@ -377,6 +798,29 @@ function drawVisualizer(canvas, levels, boost) {
   ctx.globalAlpha = 1;
 }
 
+function renderHotkeys(listEl, hotkeys, recordingAction) {
+  listEl.replaceChildren();
+  for (const action of Object.keys(DEFAULT_HOTKEYS)) {
+    const row = document.createElement("div");
+    row.className = "hotkeyRow";
+
+    const label = document.createElement("span");
+    label.className = "hotkeyLabel";
+    label.textContent = HOTKEY_LABELS[action];
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn btnHotkey";
+    btn.dataset.action = action;
+    btn.classList.toggle("btnHotkeyRecording", recordingAction === action);
+    btn.textContent = recordingAction === action ? "Press keys…" : formatCombo(hotkeys[action]);
+    btn.setAttribute("aria-label", `Hotkey for ${HOTKEY_LABELS[action]}`);
+
+    row.append(label, btn);
+    listEl.append(row);
+  }
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
   const statusEl = document.getElementById("status");
   try {
@@ -396,6 +840,8 @@ async function runPopupLogic(statusEl) {
     return;
   }
 
+  buildEqEditor(document.getElementById("eqBands"));
+  buildCompressorEditor(document.getElementById("compFields"));
   setControlsEnabled(true);
   setActiveTab("home");
 
@@ -411,52 +857,120 @@ async function runPopupLogic(statusEl) {
     { passive: true }
   );
 
-  let isPro = await loadIsPro();
-  let trialStartTime = await loadTrialStartTime();
-  let showTrialEndedOverlay = false;
-  if (trialStartTime && !isTrialActive(trialStartTime)) {
-    try {
-      await saveTrialStartTime(null);
-    } catch {
-      // ignore
-    }
-    trialStartTime = null;
-    showTrialEndedOverlay = true;
-  }
-  let effectivePro = isPro || isTrialActive(trialStartTime);
+  let plan = await loadPlan();
+  let effectivePro = plan.effectivePro;
   refreshProUi(effectivePro);
-  if (showTrialEndedOverlay) {
+  void sendBackgroundMessage("SSE_LICENSE_GET").then((res) => renderLicense(res && res.ok ? res.license : null));
+  if (plan.trialExpired) {
     document.getElementById("trialEndedOverlay").classList.remove("viewHidden");
+    plan = (await sendBackgroundMessage("SSE_TRIAL_ACKNOWLEDGE"))?.plan ?? plan;
   }
 
-  const { all, settings: storedSettings } = await loadDomainSettings(hostname).catch(() => ({ all: {}, settings: { ...DEFAULTS } }));
-  const effectiveSettings = sanitizeSettingsForPlan(storedSettings, effectivePro);
-  renderUi(effectiveSettings);
-
-  // If not pro, clamp any previously-saved pro-only values.
-  const clamped = sanitizeSettingsForPlan(storedSettings, effectivePro);
-  if (
-    clamped.volumeBoost !== storedSettings.volumeBoost ||
-    clamped.nightMode !== storedSettings.nightMode ||
-    clamped.pitchSemitones !== storedSettings.pitchSemitones
-  ) {
-    try {
-      await browser.storage.local.set({
-        domainSettings: { ...all, [hostname]: { ...storedSettings, ...clamped } },
-      });
-    } catch {
-      // ignore
+  const site = await loadSiteSettings(tab.url, tab.id);
+  let activeRule = site.rule;
+  let hasGlobal = site.hasGlobal;
+  let pinnedPreset = site.pinnedPreset;
+  let tabOnly = site.tabOverride;
+  let savedSettings = site.savedSettings;
+  renderUi(site.settings);
+  renderRule(activeRule, site.scopes, hostname, hasGlobal, pinnedPreset);
+  renderTabOverride(tabOnly, site.settings, savedSettings);
+
+  let userPresets = [];
+  async function refreshUserPresets() {
+    const res = await loadUserPresets(tab.url);
+    userPresets = res.presets;
+    renderUserPresets(userPresets, res.pinnedId);
+  }
+  await refreshUserPresets();
+
+  /** Save to the rule in effect (or `scope`) and keep the rule line in sync. */
+  async function saveForPage(settings, scope) {
+    const res = await saveSiteSettings(tab.url, settings, scope);
+    if (res) {
+      activeRule = res.rule;
+      hasGlobal = hasGlobal || activeRule === GLOBAL_RULE;
+      // Saving anywhere but the global profile gives the site a rule of its own, which beats a pin.
+      if (activeRule !== GLOBAL_RULE) pinnedPreset = null;
+      savedSettings = res.settings;
+      renderRule(activeRule, site.scopes, hostname, hasGlobal, pinnedPreset);
     }
+    return res;
   }
 
-  const pingRes = await ping(tab.id);
-  if (pingRes && pingRes.hasVideo === false) {
-    setStatus(statusEl, `No <video> found on ${hostname}.`);
-  } else {
-    setStatus(statusEl, `Ready on ${hostname}.`);
+  /** Keep `settings` for this tab only while that mode is on, otherwise save them to the profile. */
+  async function storeSettings(settings) {
+    if (!tabOnly) return saveForPage(settings);
+    const res = await sendBackgroundMessage("SSE_TAB_OVERRIDE_SET", { url: tab.url, tabId: tab.id, settings });
+    if (res && res.ok) renderTabOverride(true, res.settings, savedSettings);
+    return res && res.ok ? res : null;
   }
 
-  let allDomainSettings = all;
+  /** Leave "this tab only" mode; the tab goes back to whatever the profile gives. */
+  async function endTabOnly() {
+    const res = await sendBackgroundMessage("SSE_TAB_OVERRIDE_CLEAR", { url: tab.url, tabId: tab.id });
+    if (!res || !res.ok) return null;
+    tabOnly = false;
+    savedSettings = res.savedSettings;
+    renderTabOverride(false, res.settings, savedSettings);
+    return res;
+  }
+
+  const mediaFrames = await discoverMediaFrames(tab.id);
+  let mediaFrameId = pickMediaFrame(mediaFrames);
+  setStatus(statusEl, describePingStatus(summarizeMediaFrames(mediaFrames), hostname));
+
+  // Per-element targeting only matters once a page has more than one player.
+  const mediaListEl = document.getElementById("mediaList");
+  async function refreshMediaList() {
+    const { items, target } = await listTabMedia(tab.id);
+    const anyChoice = Boolean(target) || items.some((item) => item.excluded);
+    document.getElementById("mediaCard").classList.toggle("viewHidden", items.length < 2 && !anyChoice);
+    document.getElementById("mediaAll").classList.toggle("viewHidden", !anyChoice);
+    document.getElementById("mediaHint").textContent = target
+      ? "Only the chosen player gets your settings."
+      : "Choose which players get your settings.";
+    renderMediaList(mediaListEl, items, target);
+  }
+  await refreshMediaList();
+
+  /** Re-pick the frame that drives the visualizer and limiter badge, then the media list. */
+  async function refreshMediaFrame() {
+    mediaFrameId = pickMediaFrame(await discoverMediaFrames(tab.id));
+    await refreshMediaList();
+  }
+
+  /** Broadcast to every frame: ids are unique across frames and only the owner acts on them. */
+  async function sendMediaControl(message) {
+    await sendToFrame(tab.id, undefined, message);
+    // A different element may now drive the visualizer.
+    await refreshMediaFrame();
+  }
+
+  mediaListEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+    if (btn.dataset.mediaTarget !== undefined) {
+      void sendMediaControl({ type: "SSE_MEDIA_TARGET", id: btn.dataset.mediaTarget || null });
+    } else if (btn.dataset.mediaExclude) {
+      void sendMediaControl({
+        type: "SSE_MEDIA_EXCLUDE",
+        id: btn.dataset.mediaExclude,
+        excluded: btn.dataset.excluded !== "true",
+      });
+    }
+  });
+
+  document.getElementById("mediaAll").addEventListener("click", async () => {
+    const { items } = await listTabMedia(tab.id);
+    for (const item of items.filter((i) => i.excluded)) {
+      await sendToFrame(tab.id, undefined, { type: "SSE_MEDIA_EXCLUDE", id: item.id, excluded: false });
+    }
+    await sendMediaControl({ type: "SSE_MEDIA_TARGET", id: null });
+    setStatus(statusEl, "Settings apply to every player again.");
+  });
+
+  document.getElementById("mediaRefresh").addEventListener("click", () => void refreshMediaFrame());
 
   const volumeValue = document.getElementById("volumeValue");
   const speedValue = document.getElementById("speedValue");
@@ -468,14 +982,45 @@ async function runPopupLogic(statusEl) {
   let vizInFlight = false;
   let popupClosed = false;
 
+  // Media can start playing in another frame while the popup is open (e.g. an
+  // embedded player). Refresh picks it up at once; otherwise re-check now and then.
+  let frameTimer = window.setInterval(async () => {
+    if (popupClosed) return;
+    mediaFrameId = pickMediaFrame(await discoverMediaFrames(tab.id));
+  }, MEDIA_FRAME_RECHECK_MS);
+
   function stopVisualizer() {
     popupClosed = true;
     if (vizTimer) {
       window.clearInterval(vizTimer);
       vizTimer = 0;
     }
+    if (frameTimer) {
+      window.clearInterval(frameTimer);
+      frameTimer = 0;
+    }
+    if (limiterTimer) {
+      window.clearInterval(limiterTimer);
+      limiterTimer = 0;
+    }
   }
 
+  // Limiter activity is shown on every plan, so it polls separately from the Pro visualizer.
+  let limiterInFlight = false;
+  let limiterTimer = window.setInterval(async () => {
+    if (popupClosed || limiterInFlight) return;
+    limiterInFlight = true;
+    try {
+      const res = await getLimiterState(tab.id, mediaFrameId);
+      if (!popupClosed) {
+        renderLimiterBadge(res);
+        renderPitchStatus(res);
+      }
+    } finally {
+      limiterInFlight = false;
+    }
+  }, 150);
+
   const vizBoost = () => (effectivePro ? VIZ_BOOST_PRO : 1);
 
   const startVizLoop = () => {
@@ -487,9 +1032,10 @@ async function runPopupLogic(statusEl) {
       vizInFlight = true;
       try {
         if (popupClosed) return;
-        const frame = await getVizFrame(tab.id);
+        const frame = await getVizFrame(tab.id, mediaFrameId);
         if (popupClosed) return;
         if (!frame || frame.ok !== true) {
+          renderGainReduction(0);
           vizStatus.textContent = "—";
           document.getElementById("vizWrap").classList.remove("vizLive");
           drawVisualizer(vizCanvas, [], 1);
@@ -498,6 +1044,7 @@ async function runPopupLogic(statusEl) {
         vizStatus.textContent = frame.active ? "LIVE" : "IDLE";
         document.getElementById("vizWrap").classList.toggle("vizLive", frame.active);
         drawVisualizer(vizCanvas, frame.levels, vizBoost());
+        renderGainReduction(frame.reductionDb);
       } finally {
         vizInFlight = false;
       }
@@ -514,30 +1061,39 @@ async function runPopupLogic(statusEl) {
   function updateTrialCountdown() {
     const el = document.getElementById("trialCountdown");
     if (!el) return;
-    const rem = getTrialRemainingMs(trialStartTime);
-    if (rem <= 0) {
+    if (plan.isPro || plan.trialRemainingMs <= 0) {
       el.textContent = "";
       el.classList.add("viewHidden");
       if (countdownTimer) {
         clearInterval(countdownTimer);
         countdownTimer = 0;
       }
-      trialStartTime = null;
-      effectivePro = isPro;
-      saveTrialStartTime(null).then(() => {});
+      if (plan.isPro) return;
+      effectivePro = plan.isPro;
+      plan = { ...plan, trialRemainingMs: 0, effectivePro };
+      void sendBackgroundMessage("SSE_TRIAL_ACKNOWLEDGE");
       refreshProUi(effectivePro);
       document.getElementById("trialEndedOverlay").classList.remove("viewHidden");
       return;
     }
-    const m = Math.floor(rem / 60000);
-    const s = Math.floor((rem % 60000) / 1000);
+    const m = Math.floor(plan.trialRemainingMs / 60000);
+    const s = Math.floor((plan.trialRemainingMs % 60000) / 1000);
     el.textContent = `Trial: ${m}:${s.toString().padStart(2, "0")}`;
     el.classList.remove("viewHidden");
   }
 
-  if (trialStartTime && isTrialActive(trialStartTime)) {
+  /** The trial only counts down while media plays, so ask the background script how much is left. */
+  function startTrialCountdown() {
     updateTrialCountdown();
-    countdownTimer = window.setInterval(updateTrialCountdown, 1000);
+    if (countdownTimer) clearInterval(countdownTimer);
+    countdownTimer = window.setInterval(async () => {
+      plan = await loadPlan();
+      updateTrialCountdown();
+    }, 1000);
+  }
+
+  if (!plan.isPro && plan.trialRemainingMs > 0) {
+    startTrialCountdown();
   } else {
     document.getElementById("trialCountdown").classList.add("viewHidden");
   }
@@ -547,26 +1103,123 @@ async function runPopupLogic(statusEl) {
   const debouncedApply = createDebounced(async () => {
     const nextSettings = readUiSettings(effectivePro);
     renderUi(nextSettings);
-    try {
-      allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, nextSettings);
-    } catch {
-      // ignore
-    }
+    await storeSettings(nextSettings);
     const ok = await sendApplyMessage(tab.id, hostname, nextSettings);
-    setStatus(
-      statusEl,
-      ok ? `Saved for ${hostname}.` : `Saved, but couldn't reach the page.`
-    );
+    if (tabOnly) setStatus(statusEl, ok ? "Applied to this tab only." : "Couldn't reach the page.");
+    else setStatus(statusEl, ok ? `Saved for ${describeRule(activeRule || hostname)}.` : `Saved, but couldn't reach the page.`);
   }, 80);
 
   const volumeSliderEl = document.getElementById("volume");
   volumeSliderEl.addEventListener("input", (e) => {
-    const v = clampNumber(Number(e.currentTarget.value), 1, effectivePro ? 6 : 3);
+    const v = clampNumber(Number(e.currentTarget.value), 1, maxBoostForPlan(effectivePro));
     volumeValue.textContent = formatPercentFromBoost(v);
     volumeSliderEl.classList.toggle("sliderUltraBoost", v > 3);
     debouncedApply();
   });
 
+  document.getElementById("limiterCeiling").addEventListener("input", (e) => {
+    const db = clampNumber(Number(e.currentTarget.value), -12, 0);
+    document.getElementById("limiterCeilingValue").textContent = formatCeiling(db);
+    debouncedApply();
+  });
+
+  document.getElementById("autoGain").addEventListener("change", (e) => {
+    document.getElementById("targetLufsBlock").classList.toggle("viewHidden", !e.currentTarget.checked);
+    debouncedApply();
+  });
+
+  document.getElementById("targetLufs").addEventListener("input", (e) => {
+    const lufs = clampNumber(Number(e.currentTarget.value), -30, -10);
+    document.getElementById("targetLufsValue").textContent = formatLufs(lufs);
+    debouncedApply();
+  });
+
+  document.getElementById("skipSilence").addEventListener("change", (e) => {
+    document.getElementById("skipSilenceBlock").classList.toggle("viewHidden", !e.currentTarget.checked);
+    debouncedApply();
+  });
+
+  document.getElementById("silenceThreshold").addEventListener("input", (e) => {
+    document.getElementById("silenceThresholdValue").textContent = `${e.currentTarget.value} dB`;
+    debouncedApply();
+  });
+
+  document.getElementById("silenceMinGap").addEventListener("input", (e) => {
+    document.getElementById("silenceMinGapValue").textContent = formatGap(Number(e.currentTarget.value));
+    debouncedApply();
+  });
+
+  /**
+   * Time skipped in the media frame and in total, including what pages haven't reported yet.
+   * Polled every second, so only the media frame is asked, like the visualizer.
+   */
+  async function refreshSilenceSaved() {
+    const [f, stats] = await Promise.all([
+      sendToFrame(tab.id, mediaFrameId, { type: "SSE_GET_SILENCE" }),
+      sendBackgroundMessage("SSE_SILENCE_STATS_GET"),
+    ]);
+    const ok = Boolean(f && f.ok);
+    const sessionMs = ok ? Number(f.sessionMs) || 0 : 0;
+    const pendingMs = ok ? Number(f.pendingMs) || 0 : 0;
+    const skipping = ok && Boolean(f.skipping);
+    const totalMs = (stats && stats.ok ? stats.totalMs : 0) + pendingMs;
+    document.getElementById("silenceSaved").textContent =
+      `${skipping ? "Skipping… " : ""}Saved ${formatDuration(sessionMs)} in this tab · ${formatDuration(totalMs)} in total`;
+  }
+  void refreshSilenceSaved();
+  const silenceTimer = window.setInterval(() => {
+    if (document.getElementById("skipSilence").checked) void refreshSilenceSaved();
+  }, 1000);
+  window.addEventListener("unload", () => clearInterval(silenceTimer), { passive: true });
+
+  document.getElementById("siteSpeedWins").addEventListener("change", () => debouncedApply());
+
+  document.getElementById("speedRamp").addEventListener("change", (e) => {
+    document.getElementById("speedRampBlock").classList.toggle("viewHidden", !e.currentTarget.checked);
+    debouncedApply();
+    void refreshRampProgress();
+  });
+
+  // A different range is a different ramp; it starts from the beginning.
+  for (const [id, format] of [["rampStart", formatRampSpeed], ["rampTarget", formatRampSpeed], ["rampMinutes", formatRampMinutes]]) {
+    document.getElementById(id).addEventListener("input", (e) => {
+      document.getElementById(`${id}Value`).textContent = format(Number(e.currentTarget.value));
+      document.getElementById("speedRampBlock").dataset.reached = "";
+      debouncedApply();
+    });
+  }
+
+  document.getElementById("rampRestart").addEventListener("click", () => {
+    document.getElementById("speedRampBlock").dataset.reached = "";
+    debouncedApply();
+    setStatus(statusEl, "Speed ramp restarted.");
+  });
+
+  /** Where the page's ramp is now, from the media frame. Polled every second, so no other frame is asked. */
+  async function refreshRampProgress() {
+    const el = document.getElementById("rampProgress");
+    if (!document.getElementById("speedRamp").checked) {
+      el.textContent = "";
+      return;
+    }
+    const res = await sendToFrame(tab.id, mediaFrameId, { type: "SSE_GET_RAMP" });
+    const ramp = res && res.ok ? res : null;
+    const settings = readUiSettings(effectivePro);
+    if (!ramp) {
+      const at = settings.rampReachedSpeed ?? settings.rampStartSpeed;
+      el.textContent = `Continues from ${formatRampSpeed(at)} when media plays.`;
+      return;
+    }
+    document.getElementById("speedRampBlock").dataset.reached = ramp.saved === null ? "" : String(ramp.saved);
+    const pct = Math.round(rampProgress(settings, ramp.speed) * 100);
+    el.textContent = pct >= 100
+      ? `Reached ${formatRampSpeed(settings.rampTargetSpeed)}.`
+      : `${ramp.playing ? "Now" : "Paused at"} ${formatRampSpeed(ramp.speed)} · ${pct}% of the way to ${formatRampSpeed(settings.rampTargetSpeed)}`;
+  }
+  void refreshRampProgress();
+  const rampTimer = window.setInterval(() => void refreshRampProgress(), 1000);
+  window.addEventListener("unload", () => clearInterval(rampTimer), { passive: true });
+
   document.getElementById("speed").addEventListener("input", (e) => {
     const s = clampNumber(Number(e.currentTarget.value), 0.1, 16);
     speedValue.textContent = formatSpeed(s);
@@ -577,6 +1230,40 @@ async function runPopupLogic(statusEl) {
     debouncedApply();
   });
 
+  document.getElementById("compFields").addEventListener("input", (e) => {
+    const key = e.target.dataset.key;
+    const field = COMPRESSOR_FIELDS.find((f) => f.key === key);
+    if (!field) return;
+    const value = document.getElementById(`comp_${key}_value`);
+    if (value) value.textContent = field.format(readCompressorUi()[key]);
+    debouncedApply();
+  });
+
+  document.getElementById("compDefaults").addEventListener("click", () => {
+    renderCompressorValues(COMPRESSOR_DEFAULTS);
+    debouncedApply();
+  });
+
+  document.getElementById("voiceClarity").addEventListener("change", () => {
+    debouncedApply();
+  });
+
+  document.getElementById("showHud").addEventListener("change", () => {
+    debouncedApply();
+  });
+
+  document.getElementById("eqBands").addEventListener("input", (e) => {
+    if (!e.target.classList.contains("eqSlider")) return;
+    const db = clampNumber(Number(e.target.value), -12, 12);
+    e.target.title = `${db > 0 ? "+" : ""}${db} dB`;
+    debouncedApply();
+  });
+
+  document.getElementById("eqFlat").addEventListener("click", () => {
+    renderEqValues(EQ_FLAT);
+    debouncedApply();
+  });
+
   document.getElementById("pitch").addEventListener("input", (e) => {
     const p = clampNumber(Number(e.currentTarget.value), -12, 12);
     pitchValue.textContent = String(p);
@@ -585,26 +1272,96 @@ async function runPopupLogic(statusEl) {
 
   document.getElementById("startTrial").addEventListener("click", async () => {
     try {
-      await saveTrialStartTime(Date.now());
-      trialStartTime = Date.now();
-      effectivePro = true;
+      const res = await sendBackgroundMessage("SSE_TRIAL_START");
+      if (res && res.reason === "used") {
+        setStatus(statusEl, "The free trial has already been used in this browser.");
+        return;
+      }
+      if (!res || !res.ok) throw new Error("trial");
+      plan = res.plan;
+      effectivePro = plan.effectivePro;
       refreshProUi(effectivePro);
-      updateTrialCountdown();
-      if (countdownTimer) clearInterval(countdownTimer);
-      countdownTimer = window.setInterval(updateTrialCountdown, 1000);
+      startTrialCountdown();
       startVizLoop();
-      setStatus(statusEl, "Trial started. Enjoy Pro for 15 min.");
-      const loaded = await loadDomainSettings(hostname).catch(() => ({ all: {}, settings: { ...DEFAULTS } }));
-      const effective = sanitizeSettingsForPlan(loaded.settings, true);
+      setStatus(statusEl, "Trial started: 15 minutes of Pro, counted while media plays.");
+      const effective = (await loadSiteSettings(tab.url, tab.id)).settings;
       renderUi(effective);
-      allDomainSettings = loaded.all;
-      allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, effective);
       await sendApplyMessage(tab.id, hostname, effective);
     } catch {
       setStatus(statusEl, "Could not start trial.");
     }
   });
 
+  /** Show what applies here now, after rules were added or removed around it. */
+  async function reloadSiteRule() {
+    const res = await loadSiteSettings(tab.url, tab.id);
+    activeRule = res.rule;
+    hasGlobal = res.hasGlobal;
+    pinnedPreset = res.pinnedPreset;
+    savedSettings = res.savedSettings;
+    renderUi(res.settings);
+    renderRule(activeRule, site.scopes, hostname, hasGlobal, pinnedPreset);
+    renderTabOverride(tabOnly, res.settings, savedSettings);
+    return sendApplyMessage(tab.id, hostname, res.settings);
+  }
+
+  // Rules that still decide this page after a save or reset, which the bar offers to delete.
+  let narrowerRules = [];
+  const narrowerBar = document.getElementById("narrowerBar");
+
+  function closeNarrowerBar() {
+    narrowerRules = [];
+    narrowerBar.classList.add("viewHidden");
+  }
+
+  function offerRuleDeletion(patterns, text) {
+    narrowerRules = patterns;
+    document.getElementById("narrowerText").textContent = text;
+    narrowerBar.classList.remove("viewHidden");
+  }
+
+  /** "a, b still apply" / "a still applies", and "them" / "it", for `patterns`. */
+  function describeRemainingRules(patterns) {
+    const one = patterns.length === 1;
+    return { still: `${patterns.map(describeRule).join(", ")} still ${one ? "applies" : "apply"}`, them: one ? "it" : "them" };
+  }
+
+  // A broader scope leaves narrower rules in place; the bar offers to delete them so it takes effect here.
+  document.getElementById("saveScope").addEventListener("click", async () => {
+    closeNarrowerBar();
+    const scope = document.getElementById("ruleScope").value;
+    const settings = readUiSettings(effectivePro);
+    const res = await saveForPage(settings, scope);
+    if (!res) {
+      setStatus(statusEl, "Could not save to that scope.");
+      return;
+    }
+    // The tab's settings are now the profile's, so there is nothing left to keep apart.
+    if (tabOnly) await endTabOnly();
+    if (res.narrower.length) {
+      const { still, them } = describeRemainingRules(res.narrower);
+      offerRuleDeletion(res.narrower, `Saved for ${describeRule(res.rule)}, but ${still} here. Delete ${them} so ${describeRule(res.rule)} takes effect?`);
+    }
+    // While a narrower rule stays, the page keeps its settings.
+    const ok = res.narrower.length ? await reloadSiteRule() : await sendApplyMessage(tab.id, hostname, res.settings);
+    setStatus(statusEl, ok ? `Saved for ${describeRule(res.rule)}.` : `Saved, but couldn't reach the page.`);
+  });
+
+  document.getElementById("keepNarrower").addEventListener("click", closeNarrowerBar);
+
+  document.getElementById("deleteNarrower").addEventListener("click", async () => {
+    const patterns = narrowerRules;
+    closeNarrowerBar();
+    const res = await sendBackgroundMessage("SSE_RULES_DELETE", { patterns });
+    if (!res || !res.ok) {
+      setStatus(statusEl, "Could not delete those rules.");
+      return;
+    }
+    const ok = await reloadSiteRule();
+    const what = `Deleted ${patterns.map(describeRule).join(", ")}`;
+    setStatus(statusEl, ok ? `${what}.` : `${what} (page unreachable).`);
+  });
+
   document.getElementById("goPro").addEventListener("click", async () => {
     await browser.tabs.create({ url: PRO_URL });
   });
@@ -619,50 +1376,146 @@ async function runPopupLogic(statusEl) {
     }
   }
 
+  document.getElementById("saveOverride").addEventListener("click", async () => {
+    const res = await saveForPage(readUiSettings(effectivePro), hostname);
+    if (res && tabOnly) await endTabOnly();
+    setStatus(statusEl, res ? `Saved as an override for ${hostname}.` : "Could not save override.");
+  });
+
+  // Factory reset writes the built-in defaults to the rule in effect, or to a new
+  // rule for this host when the site is on the global defaults.
   document.getElementById("reset").addEventListener("click", async () => {
     const toSave = { ...DEFAULTS };
     renderUi(toSave);
-    allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, toSave);
+    await storeSettings(toSave);
     const ok = await sendApplyMessage(tab.id, hostname, toSave);
-    setStatus(statusEl, ok ? `Reset for ${hostname}.` : `Reset saved (page unreachable).`);
+    const where = tabOnly ? "this tab only" : describeRule(activeRule || hostname);
+    setStatus(statusEl, ok ? `Reset for ${where}.` : `Reset saved (page unreachable).`);
   });
 
-  async function applyPreset(presetKey) {
-    if (!effectivePro && presetKey !== "myMix") {
-      shakeGoPro();
+  // Only this host's own rules go; wildcard rules other sites share are offered in the bar instead.
+  document.getElementById("resetGlobal").addEventListener("click", async () => {
+    closeNarrowerBar();
+    const res = await sendBackgroundMessage("SSE_SETTINGS_CLEAR", { url: tab.url });
+    if (!res || !res.ok) {
+      setStatus(statusEl, "Could not reset.");
       return;
     }
+    activeRule = res.rule;
+    hasGlobal = res.hasGlobal;
+    pinnedPreset = res.pinnedPreset;
+    savedSettings = res.savedSettings;
+    renderUi(res.settings);
+    renderRule(activeRule, site.scopes, hostname, hasGlobal, pinnedPreset);
+    renderTabOverride(tabOnly, res.settings, savedSettings);
+    const ok = await sendApplyMessage(tab.id, hostname, res.settings);
+    if (res.shared.length) {
+      const { still, them } = describeRemainingRules(res.shared);
+      offerRuleDeletion(res.shared, `Removed ${hostname}'s own rules, but ${still} here and to other sites. Delete ${them} too?`);
+    }
+    const now = pinnedPreset ? `its pinned preset ${pinnedPreset.name}` : describeRule(activeRule || GLOBAL_RULE);
+    setStatus(statusEl, ok ? `${hostname} now uses ${now}.` : "Reset saved (page unreachable).");
+  });
+
+  /** Apply and save a built-in preset (by key) or a user preset (by id). */
+  async function applyPreset({ builtin, id }) {
     let settings;
-    if (presetKey === "myMix") {
-      settings = await loadMyMix();
-      if (!settings) {
-        setStatus(statusEl, "No mix saved. Use Save My Mix first.");
+    if (builtin) {
+      if (!effectivePro) {
+        shakeGoPro();
         return;
       }
-      settings = sanitizeSettingsForPlan(settings, true);
+      settings = presetForPlan(builtin, effectivePro, readUiSettings(effectivePro));
     } else {
-      settings = presetForPlan(presetKey, effectivePro);
+      // Saved presets can be applied on any plan; Pro-only fields are gated here.
+      const preset = userPresets.find((p) => p.id === id);
+      settings = preset ? sanitizeSettings(preset.settings, effectivePro) : null;
     }
     if (!settings) return;
     renderUi(settings);
-    try {
-      allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, settings);
-    } catch {
-      // ignore
-    }
+    await storeSettings(settings);
     const ok = await sendApplyMessage(tab.id, hostname, settings);
-    setStatus(statusEl, ok ? `Preset applied for ${hostname}.` : `Preset saved (page unreachable).`);
+    const where = tabOnly ? "this tab only" : describeRule(activeRule || hostname);
+    setStatus(statusEl, ok ? `Preset applied for ${where}.` : `Preset saved (page unreachable).`);
   }
 
-  document.getElementById("presetMovie").addEventListener("click", () => void applyPreset("movie"));
-  document.getElementById("presetMusic").addEventListener("click", () => void applyPreset("music"));
-  document.getElementById("presetPodcast").addEventListener("click", () => void applyPreset("podcast"));
-  document.getElementById("presetMyMix").addEventListener("click", () => void applyPreset("myMix"));
+  document.getElementById("presetRow").addEventListener("click", (e) => {
+    const chip = e.target.closest("button");
+    if (!chip) return;
+    void applyPreset({ builtin: chip.dataset.builtin, id: chip.dataset.presetId });
+  });
 
-  document.getElementById("saveMyMix").addEventListener("click", async () => {
-    const settings = readUiSettings(effectivePro);
-    await saveMyMixToStorage(settings);
-    setStatus(statusEl, "Mix saved!");
+  document.getElementById("savePreset").addEventListener("click", async () => {
+    const nameInput = document.getElementById("presetName");
+    const name = nameInput.value.trim() || `Preset ${userPresets.length + 1}`;
+    const res = await sendBackgroundMessage("SSE_PRESET_CREATE", { name, settings: readUiSettings(effectivePro) });
+    if (!res || !res.ok) {
+      setStatus(statusEl, "Could not save preset.");
+      return;
+    }
+    nameInput.value = "";
+    await refreshUserPresets();
+    setStatus(statusEl, `Saved preset ${name}.`);
+  });
+
+  document.getElementById("tabOnly").addEventListener("change", async (e) => {
+    if (e.currentTarget.checked) {
+      tabOnly = true;
+      const res = await storeSettings(readUiSettings(effectivePro));
+      if (!res) {
+        tabOnly = false;
+        renderTabOverride(false, savedSettings, savedSettings);
+        setStatus(statusEl, "Could not switch to this tab only.");
+        return;
+      }
+      setStatus(statusEl, "Changes now apply to this tab only.");
+      return;
+    }
+    document.getElementById("discardTabOverride").click();
+  });
+
+  document.getElementById("discardTabOverride").addEventListener("click", async () => {
+    const res = await endTabOnly();
+    if (!res) {
+      setStatus(statusEl, "Could not discard.");
+      return;
+    }
+    renderUi(res.settings);
+    const ok = await sendApplyMessage(tab.id, hostname, res.settings);
+    setStatus(statusEl, ok ? "Back to the saved profile." : "Discarded (page unreachable).");
+  });
+
+  document.getElementById("commitTabOverride").addEventListener("click", async () => {
+    const res = await saveForPage(readUiSettings(effectivePro));
+    if (!res || !(await endTabOnly())) {
+      setStatus(statusEl, "Could not save.");
+      return;
+    }
+    setStatus(statusEl, `Saved for ${describeRule(res.rule)}.`);
+  });
+
+  document.getElementById("managePresets").addEventListener("click", () => {
+    void browser.runtime.openOptionsPage();
+  });
+
+  document.getElementById("pinPreset").addEventListener("change", async (e) => {
+    const id = e.currentTarget.value || null;
+    const res = await sendBackgroundMessage("SSE_PRESET_PIN", { url: tab.url, id });
+    if (!res || !res.ok) {
+      setStatus(statusEl, "Could not change the site default.");
+      return;
+    }
+    const next = await loadSiteSettings(tab.url, tab.id);
+    activeRule = next.rule;
+    pinnedPreset = next.pinnedPreset;
+    savedSettings = next.savedSettings;
+    renderUi(next.settings);
+    renderRule(activeRule, site.scopes, hostname, hasGlobal, pinnedPreset);
+    renderTabOverride(tabOnly, next.settings, savedSettings);
+    await sendApplyMessage(tab.id, hostname, next.settings);
+    if (!id) setStatus(statusEl, `${hostname} has no pinned preset.`);
+    else if (pinnedPreset) setStatus(statusEl, `${hostname} now defaults to ${pinnedPreset.name}.`);
+    else setStatus(statusEl, `Pinned. ${describeRule(activeRule)} still takes precedence over the pin.`);
   });
 
   document.getElementById("trialEndedOverlay").addEventListener("click", (e) => {
@@ -676,61 +1529,100 @@ async function runPopupLogic(statusEl) {
     browser.tabs.create({ url: PRO_URL });
   });
 
+  const hotkeyList = document.getElementById("hotkeyList");
+  let hotkeys = (await sendBackgroundMessage("SSE_HOTKEYS_GET"))?.hotkeys ?? { ...DEFAULT_HOTKEYS };
+  let recordingAction = null;
+  renderHotkeys(hotkeyList, hotkeys, recordingAction);
+
+  hotkeyList.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    recordingAction = recordingAction === btn.dataset.action ? null : btn.dataset.action;
+    renderHotkeys(hotkeyList, hotkeys, recordingAction);
+  });
+
+  document.addEventListener(
+    "keydown",
+    async (e) => {
+      if (!recordingAction || isModifierCode(e.code)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const action = recordingAction;
+      recordingAction = null;
+      if (e.code === "Escape") {
+        renderHotkeys(hotkeyList, hotkeys, recordingAction);
+        return;
+      }
+      // Backspace/Delete unbinds; any other key becomes the new binding.
+      const combo = e.code === "Backspace" || e.code === "Delete" ? "" : comboFromKeyEvent(e);
+      const next = { ...hotkeys };
+      for (const other of Object.keys(next)) {
+        if (combo && next[other] === combo) next[other] = "";
+      }
+      next[action] = combo;
+      hotkeys = sanitizeHotkeys(next);
+      renderHotkeys(hotkeyList, hotkeys, recordingAction);
+      await sendBackgroundMessage("SSE_HOTKEYS_SET", { hotkeys });
+      setStatus(statusEl, combo ? `${HOTKEY_LABELS[action]}: ${formatCombo(combo)}` : `${HOTKEY_LABELS[action]} unbound.`);
+    },
+    { capture: true }
+  );
+
+  document.getElementById("resetHotkeys").addEventListener("click", async () => {
+    hotkeys = { ...DEFAULT_HOTKEYS };
+    recordingAction = null;
+    renderHotkeys(hotkeyList, hotkeys, recordingAction);
+    await sendBackgroundMessage("SSE_HOTKEYS_SET", { hotkeys });
+    setStatus(statusEl, "Hotkeys reset.");
+  });
+
+  document.getElementById("openOptions").addEventListener("click", () => {
+    void browser.runtime.openOptionsPage();
+    window.close();
+  });
+
   document.getElementById("tabHome").addEventListener("click", () => setActiveTab("home"));
   document.getElementById("tabLicense").addEventListener("click", () => setActiveTab("license"));
 
+  /** Re-read this site's settings after the plan changed and push them to the page. */
+  async function reloadForPlan(nextPlan) {
+    plan = nextPlan;
+    effectivePro = plan.effectivePro;
+    refreshProUi(effectivePro);
+    const effective = (await loadSiteSettings(tab.url, tab.id)).settings;
+    renderUi(effective);
+    await sendApplyMessage(tab.id, hostname, effective);
+  }
+
   document.getElementById("activate").addEventListener("click", async () => {
-    const raw = document.getElementById("licenseKey").value;
-    const sanitized = sanitizeLicenseKeyInput(raw);
-    if (!isLicenseKeyValidFormat(sanitized)) {
-      setStatus(statusEl, "Invalid key format. Use only letters and numbers.");
-      return;
-    }
-    const ok = sanitized === LICENSE_ACCEPTED_SANITIZED;
-    try {
-      await saveIsPro(ok);
-    } catch {
+    setStatus(statusEl, "Activating…");
+    const res = await sendBackgroundMessage("SSE_LICENSE_ACTIVATE", {
+      key: document.getElementById("licenseKey").value,
+    });
+    if (!res || !res.plan) {
       setStatus(statusEl, "Could not save license.");
       return;
     }
-    isPro = ok;
-    if (ok) {
-      await saveTrialStartTime(null);
-      trialStartTime = null;
+    renderLicense(res.license);
+    if (res.ok) {
+      document.getElementById("licenseKey").value = "";
       if (countdownTimer) clearInterval(countdownTimer);
       countdownTimer = 0;
       document.getElementById("trialCountdown").classList.add("viewHidden");
       document.getElementById("trialEndedOverlay").classList.add("viewHidden");
     }
-    effectivePro = isPro || isTrialActive(trialStartTime);
-    refreshProUi(effectivePro);
-    setStatus(statusEl, ok ? "Pro activated." : "Invalid key.");
+    setStatus(statusEl, res.ok ? "Pro activated." : LICENSE_ERROR_TEXT[res.reason] ?? "Could not activate the license.");
     startVizLoop();
-    const loaded = await loadDomainSettings(hostname).catch(() => ({ all: {}, settings: { ...DEFAULTS } }));
-    const effective = sanitizeSettingsForPlan(loaded.settings, effectivePro);
-    renderUi(effective);
-    allDomainSettings = loaded.all;
-    allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, effective);
-    await sendApplyMessage(tab.id, hostname, effective);
+    await reloadForPlan(res.plan);
   });
 
   document.getElementById("deactivate").addEventListener("click", async () => {
-    try {
-      await saveIsPro(false);
-    } catch {
-      // ignore
-    }
-    isPro = false;
-    effectivePro = isTrialActive(trialStartTime);
-    refreshProUi(effectivePro);
-    setStatus(statusEl, "Pro disabled.");
+    const res = await sendBackgroundMessage("SSE_LICENSE_DEACTIVATE");
+    renderLicense(res && res.license);
+    setStatus(statusEl, res && res.serverReached === false
+      ? "Pro disabled. The license server could not be reached, so the seat may stay in use."
+      : "Pro disabled.");
     drawVisualizer(vizCanvas, [], 1);
-    const loaded = await loadDomainSettings(hostname).catch(() => ({ all: {}, settings: { ...DEFAULTS } }));
-    const effective = sanitizeSettingsForPlan(loaded.settings, effectivePro);
-    renderUi(effective);
-    allDomainSettings = loaded.all;
-    allDomainSettings = await saveDomainSettings(hostname, allDomainSettings, effective);
-    await sendApplyMessage(tab.id, hostname, effective);
+    await reloadForPlan(res && res.plan ? res.plan : await loadPlan());
   });
 }
-
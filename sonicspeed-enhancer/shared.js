@@ -0,0 +1,528 @@
+/* global browser */
+
+// Loaded as a classic script by the background page, the content script and the
+// popup, so validation and plan gating live in exactly one place. The background
+// script owns storage; the other two only reach it through sendBackgroundMessage.
+
+const SETTINGS_VERSION = 6;
+
+const EQ_BANDS_HZ = Object.freeze([31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000]);
+const EQ_FLAT = Object.freeze(EQ_BANDS_HZ.map(() => 0));
+
+// Night Mode compressor parameters (dB, ratio, seconds) plus makeup gain in dB.
+const COMPRESSOR_DEFAULTS = Object.freeze({
+  threshold: -24,
+  knee: 30,
+  ratio: 12,
+  attack: 0.003,
+  release: 0.25,
+  makeupDb: 0,
+});
+
+// Accepted range of each compressor parameter: what DynamicsCompressorNode takes, with
+// makeup gain capped at +24 dB. The popup's sliders use the same bounds.
+const COMPRESSOR_LIMITS = Object.freeze({
+  threshold: Object.freeze({ min: -100, max: 0 }),
+  knee: Object.freeze({ min: 0, max: 40 }),
+  ratio: Object.freeze({ min: 1, max: 20 }),
+  attack: Object.freeze({ min: 0, max: 1 }),
+  release: Object.freeze({ min: 0, max: 1 }),
+  makeupDb: Object.freeze({ min: 0, max: 24 }),
+});
+
+// BS.1770 K-weighting pre-filter for the loudness meter, as two BiquadFilterNode
+// settings. Web Audio reads a highpass Q in dB, so the RLB stage's linear Q of 0.5
+// is given as 20·log10(0.5) ≈ −6.02 dB.
+const K_WEIGHTING = Object.freeze({
+  shelf: Object.freeze({ type: "highshelf", frequency: 1681.97, gain: 4 }),
+  highpass: Object.freeze({ type: "highpass", frequency: 38.14, Q: 20 * Math.log10(0.5) }),
+});
+
+const DEFAULTS = Object.freeze({
+  volumeBoost: 1,
+  speed: 1,
+  // Leave playbackRate to the site when its player changes it (no speed guard).
+  siteSpeedWins: false,
+  nightMode: false,
+  pitchSemitones: 0,
+  showHud: true,
+  eqGains: EQ_FLAT,
+  voiceClarity: false,
+  compressor: COMPRESSOR_DEFAULTS,
+  limiterCeilingDb: -1,
+  autoGain: false,
+  targetLufs: -16,
+  skipSilence: false,
+  silenceThresholdDb: -45,
+  silenceMinGapMs: 400,
+  speedRamp: false,
+  rampStartSpeed: 1.25,
+  rampTargetSpeed: 2,
+  rampMinutes: 10,
+  // How far this site's ramp has got; null until it starts.
+  rampReachedSpeed: null,
+});
+
+const TRIAL_DURATION_MS = 15 * 60 * 1000;
+
+// Finding the frame with the media pings every frame in the tab, so the popup and
+// the hotkey forwarding in the background script only look again this often.
+const MEDIA_FRAME_RECHECK_MS = 15000;
+
+// Alt+Shift keeps the defaults clear of the page's own shortcuts; plain letters
+// are taken by players, document viewers and games.
+const DEFAULT_HOTKEYS = Object.freeze({
+  speedUp: "Alt+Shift+KeyD",
+  speedDown: "Alt+Shift+KeyS",
+  speedReset: "Alt+Shift+KeyR",
+  boostUp: "Alt+Shift+ArrowUp",
+  boostDown: "Alt+Shift+ArrowDown",
+  toggleNightMode: "Alt+Shift+KeyN",
+  pitchUp: "Alt+Shift+BracketRight",
+  pitchDown: "Alt+Shift+BracketLeft",
+});
+
+// The defaults before version 6; saved bindings still on them move to the new ones.
+const LEGACY_DEFAULT_HOTKEYS = Object.freeze({
+  speedUp: "KeyD",
+  speedDown: "KeyS",
+  speedReset: "KeyR",
+  boostUp: "Shift+ArrowUp",
+  boostDown: "Shift+ArrowDown",
+  toggleNightMode: "KeyN",
+  pitchUp: "BracketRight",
+  pitchDown: "BracketLeft",
+});
+
+function clampNumber(value, min, max) {
+  if (!Number.isFinite(value)) return min;
+  return Math.min(max, Math.max(min, value));
+}
+
+function maxBoostForPlan(isPro) {
+  return isPro ? 6 : 3;
+}
+
+/** One gain in dB (−12…+12) per EQ band; missing or invalid bands are flat. */
+function sanitizeEqGains(raw) {
+  const arr = Array.isArray(raw) ? raw : [];
+  return EQ_BANDS_HZ.map((_, i) => {
+    const db = Number(arr[i] ?? 0);
+    return Number.isFinite(db) ? clampNumber(db, -12, 12) : 0;
+  });
+}
+
+function isEqFlat(eqGains) {
+  return !Array.isArray(eqGains) || eqGains.every((db) => db === 0);
+}
+
+/** Clamp every parameter to COMPRESSOR_LIMITS. */
+function sanitizeCompressor(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const num = (key) => {
+    const v = Number(obj[key] ?? COMPRESSOR_DEFAULTS[key]);
+    const { min, max } = COMPRESSOR_LIMITS[key];
+    return Number.isFinite(v) ? clampNumber(v, min, max) : COMPRESSOR_DEFAULTS[key];
+  };
+  return {
+    threshold: num("threshold"),
+    knee: num("knee"),
+    ratio: num("ratio"),
+    attack: num("attack"),
+    release: num("release"),
+    makeupDb: num("makeupDb"),
+  };
+}
+
+/** Validate every field and apply plan gating: free plans get no Pro-only values. */
+function sanitizeSettings(raw, isPro) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const pro = Boolean(isPro);
+  return {
+    volumeBoost: clampNumber(Number(obj.volumeBoost ?? DEFAULTS.volumeBoost), 1, maxBoostForPlan(pro)),
+    speed: clampNumber(Number(obj.speed ?? DEFAULTS.speed), 0.1, 16),
+    siteSpeedWins: Boolean(obj.siteSpeedWins ?? DEFAULTS.siteSpeedWins),
+    nightMode: pro ? Boolean(obj.nightMode ?? DEFAULTS.nightMode) : false,
+    pitchSemitones: pro
+      ? clampNumber(Number(obj.pitchSemitones ?? DEFAULTS.pitchSemitones), -12, 12)
+      : 0,
+    showHud: Boolean(obj.showHud ?? DEFAULTS.showHud),
+    eqGains: pro ? sanitizeEqGains(obj.eqGains) : [...EQ_FLAT],
+    voiceClarity: pro ? Boolean(obj.voiceClarity ?? DEFAULTS.voiceClarity) : false,
+    compressor: pro ? sanitizeCompressor(obj.compressor) : { ...COMPRESSOR_DEFAULTS },
+    limiterCeilingDb: clampNumber(Number(obj.limiterCeilingDb ?? DEFAULTS.limiterCeilingDb), -12, 0),
+    autoGain: Boolean(obj.autoGain ?? DEFAULTS.autoGain),
+    targetLufs: clampNumber(Number(obj.targetLufs ?? DEFAULTS.targetLufs), -30, -10),
+    skipSilence: Boolean(obj.skipSilence ?? DEFAULTS.skipSilence),
+    silenceThresholdDb: clampNumber(Number(obj.silenceThresholdDb ?? DEFAULTS.silenceThresholdDb), -70, -20),
+    silenceMinGapMs: clampNumber(Number(obj.silenceMinGapMs ?? DEFAULTS.silenceMinGapMs), 100, 3000),
+    ...sanitizeRamp(obj),
+  };
+}
+
+function sanitizeRamp(obj) {
+  const rampStartSpeed = clampNumber(Number(obj.rampStartSpeed ?? DEFAULTS.rampStartSpeed), 0.5, 4);
+  const rampTargetSpeed = clampNumber(Number(obj.rampTargetSpeed ?? DEFAULTS.rampTargetSpeed), 0.5, 4);
+  const reached = obj.rampReachedSpeed == null ? NaN : Number(obj.rampReachedSpeed);
+  return {
+    speedRamp: Boolean(obj.speedRamp ?? DEFAULTS.speedRamp),
+    rampStartSpeed,
+    rampTargetSpeed,
+    rampMinutes: Math.round(clampNumber(Number(obj.rampMinutes ?? DEFAULTS.rampMinutes), 1, 120)),
+    // Always somewhere between the two ends, so a changed range can't strand it outside.
+    rampReachedSpeed: Number.isFinite(reached)
+      ? clampNumber(reached, Math.min(rampStartSpeed, rampTargetSpeed), Math.max(rampStartSpeed, rampTargetSpeed))
+      : null,
+  };
+}
+
+/** 0–1: how far a ramp at `speed` is from its start to its target. */
+function rampProgress(settings, speed) {
+  const span = settings.rampTargetSpeed - settings.rampStartSpeed;
+  if (!span) return 1;
+  return clampNumber((speed - settings.rampStartSpeed) / span, 0, 1);
+}
+
+const PRESET_NAME_MAX_LENGTH = 40;
+const PRESET_MAX_COUNT = 200;
+const PRESET_ID_REGEX = /^[a-z0-9-]{1,64}$/;
+
+/** A user preset keeps a whole settings object, so fields added later are saved with it too. */
+function sanitizeUserPreset(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const name = String(raw.name ?? "").replace(/\s+/g, " ").trim().slice(0, PRESET_NAME_MAX_LENGTH);
+  if (!name) return null;
+  const order = Number(raw.order);
+  return { name, order: Number.isFinite(order) ? order : 0, settings: sanitizeSettings(raw.settings, true) };
+}
+
+/** userPresets is a map of id → { name, order, settings }; invalid entries are dropped. */
+function sanitizeUserPresets(raw) {
+  const out = {};
+  const src = raw && typeof raw === "object" ? raw : {};
+  for (const [id, preset] of Object.entries(src).slice(0, PRESET_MAX_COUNT)) {
+    const clean = PRESET_ID_REGEX.test(id) ? sanitizeUserPreset(preset) : null;
+    if (clean) out[id] = clean;
+  }
+  return out;
+}
+
+/** Presets as [{ id, name, order, settings }] in display order. */
+function listUserPresets(presets) {
+  return Object.entries(presets)
+    .map(([id, preset]) => ({ id, ...preset }))
+    .sort((a, b) => a.order - b.order || a.name.localeCompare(b.name));
+}
+
+/** presetPins maps an exact hostname to the id of the preset that is its default. */
+function sanitizePresetPins(raw) {
+  const out = {};
+  const src = raw && typeof raw === "object" ? raw : {};
+  for (const [host, id] of Object.entries(src)) {
+    const rule = parseRulePattern(host);
+    if (rule && !rule.global && !rule.wildcard && rule.path === null && PRESET_ID_REGEX.test(String(id))) {
+      out[rule.host] = String(id);
+    }
+  }
+  return out;
+}
+
+function sanitizeHotkeys(raw) {
+  const obj = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const action of Object.keys(DEFAULT_HOTKEYS)) {
+    const combo = obj[action] ?? DEFAULT_HOTKEYS[action];
+    // Empty string means the action is unbound.
+    out[action] = typeof combo === "string" ? combo.slice(0, 64) : DEFAULT_HOTKEYS[action];
+  }
+  return out;
+}
+
+/** Build the "Ctrl+Alt+Shift+Meta+Code" string used for stored bindings. */
+function comboFromKeyEvent(e) {
+  const parts = [];
+  if (e.ctrlKey) parts.push("Ctrl");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey) parts.push("Shift");
+  if (e.metaKey) parts.push("Meta");
+  parts.push(e.code);
+  return parts.join("+");
+}
+
+/**
+ * Which trial a stored trial record belongs to and whether it has run out. The
+ * record changes with every few seconds of playback; this only changes when plan
+ * gating does, so storage listeners can tell the two apart.
+ */
+function trialPhase(record) {
+  const r = record && typeof record === "object" ? record : {};
+  return `${r.startedAt ?? ""}:${Number(r.usedMs) >= TRIAL_DURATION_MS}`;
+}
+
+function getHostnameFromUrl(urlString) {
+  try {
+    const u = new URL(urlString);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    return u.hostname;
+  } catch {
+    return null;
+  }
+}
+
+/** Hostname and path of an http(s) page URL, or null for anything else. */
+function parsePageUrl(urlString) {
+  try {
+    const u = new URL(urlString);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    return { hostname: u.hostname, pathname: u.pathname || "/" };
+  } catch {
+    return null;
+  }
+}
+
+// Site rules. domainSettings is keyed by rule pattern and the most specific
+// pattern matching the page wins:
+//   "*"                       every site (the user's global defaults)
+//   "*.youtube.com"           youtube.com and all of its subdomains
+//   "www.youtube.com"         that host only
+//   "example.com/podcasts/*"  that host, under /podcasts (a path without "*" is exact)
+// Path rules beat host rules (longer paths first), exact hosts beat wildcards,
+// and deeper wildcards beat shallower ones.
+const GLOBAL_RULE = "*";
+// Underscores aren't allowed in DNS host names, but real sites (and location.hostname) use them.
+const RULE_HOST_REGEX = /^(\*\.)?([a-z0-9_-]+(\.[a-z0-9_-]+)*|\[[0-9a-f:.]+\])$/;
+const RULE_MAX_LENGTH = 512;
+const RULE_SCOPE_MAX_SEGMENTS = 3;
+
+// Registries and shared hosts where every subdomain is someone else's site, so a
+// "*." scope over them would reach far beyond the page. Not the full Public Suffix
+// List: country-code second levels are caught by RULE_GENERIC_SECOND_LEVELS below,
+// and this lists the rest that people commonly run into.
+const RULE_PUBLIC_SUFFIXES = new Set([
+  "ltd.uk", "plc.uk", "me.uk", "sch.uk", "nhs.uk", "police.uk",
+  "asn.au", "id.au", "govt.nz", "geek.nz", "school.nz", "gen.in", "firm.in", "ind.in",
+  "github.io", "gitlab.io", "blogspot.com", "wordpress.com", "tumblr.com", "substack.com",
+  "herokuapp.com", "appspot.com", "web.app", "firebaseapp.com", "netlify.app", "vercel.app",
+  "pages.dev", "workers.dev", "azurewebsites.net", "cloudfront.net", "s3.amazonaws.com",
+]);
+// "co.uk", "com.au", "ne.jp" and the like: a generic label under a two-letter country code.
+const RULE_GENERIC_SECOND_LEVELS = new Set([
+  "ac", "co", "com", "edu", "go", "gob", "gov", "gv", "ltd", "mil", "ne", "net", "nic", "or", "org", "sch",
+]);
+
+/** Whether `domain` is a suffix under which unrelated parties register names. */
+function isPublicSuffix(domain) {
+  const labels = domain.split(".");
+  if (labels.length < 2) return true;
+  if (RULE_PUBLIC_SUFFIXES.has(domain)) return true;
+  return labels.length === 2 && /^[a-z]{2}$/.test(labels[1]) && RULE_GENERIC_SECOND_LEVELS.has(labels[0]);
+}
+
+/** Split a pattern into its parts, or null if it isn't a valid rule. */
+function parseRulePattern(raw) {
+  if (typeof raw !== "string") return null;
+  const str = raw.trim();
+  if (!str || str.length > RULE_MAX_LENGTH) return null;
+  if (str === GLOBAL_RULE) return { global: true, host: "", wildcard: false, path: null, prefix: false };
+
+  const slash = str.indexOf("/");
+  const hostPart = (slash === -1 ? str : str.slice(0, slash)).toLowerCase();
+  if (!RULE_HOST_REGEX.test(hostPart)) return null;
+  const wildcard = hostPart.startsWith("*.");
+  const host = wildcard ? hostPart.slice(2) : hostPart;
+
+  let path = slash === -1 ? null : str.slice(slash);
+  let prefix = false;
+  if (path !== null) {
+    if (/[?#\s]/.test(path)) return null;
+    if (path.endsWith("/*")) {
+      prefix = true;
+      path = path.slice(0, -2);
+    }
+    if (path.includes("*")) return null;
+    path = path.replace(/\/+$/, "");
+    // "example.com/*" is just the host rule.
+    if (!path) {
+      path = null;
+      prefix = false;
+    }
+  }
+  return { global: false, host, wildcard, path, prefix };
+}
+
+function formatRulePattern(rule) {
+  if (rule.global) return GLOBAL_RULE;
+  const host = rule.wildcard ? `*.${rule.host}` : rule.host;
+  if (rule.path === null) return host;
+  return rule.prefix ? `${host}${rule.path}/*` : `${host}${rule.path}`;
+}
+
+/** Canonical form of a pattern ("Example.com/a/" → "example.com/a"), or null. */
+function normalizeRulePattern(raw) {
+  const rule = parseRulePattern(raw);
+  return rule ? formatRulePattern(rule) : null;
+}
+
+function ruleMatchesPage(rule, page) {
+  if (rule.global) return true;
+  const host = page.hostname.toLowerCase();
+  const hostOk = rule.wildcard
+    ? host === rule.host || host.endsWith(`.${rule.host}`)
+    : host === rule.host;
+  if (!hostOk) return false;
+  if (rule.path === null) return true;
+  const path = page.pathname.length > 1 ? page.pathname.replace(/\/+$/, "") : page.pathname;
+  if (path === rule.path) return true;
+  return rule.prefix && path.startsWith(`${rule.path}/`);
+}
+
+/** Higher is more specific; see the precedence notes above. */
+function ruleSpecificity(rule) {
+  if (rule.global) return 0;
+  const labels = rule.host.split(".").length;
+  let score = 1 + labels + (rule.wildcard ? 0 : 500);
+  if (rule.path !== null) score += 1e7 + rule.path.length * 1e4 + (rule.prefix ? 0 : 1e3);
+  return score;
+}
+
+/** The stored pattern that applies to `page`, or null when none does. */
+function resolveRule(patterns, page) {
+  let best = null;
+  let bestScore = -1;
+  for (const pattern of patterns) {
+    const rule = parseRulePattern(pattern);
+    if (!rule || !ruleMatchesPage(rule, page)) continue;
+    const score = ruleSpecificity(rule);
+    if (score > bestScore) {
+      best = pattern;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/** Patterns a user can save `page` under, broadest first. No "*." scope covers a public suffix. */
+function ruleScopesForPage(page) {
+  const host = page.hostname.toLowerCase();
+  const scopes = [GLOBAL_RULE];
+  const labels = host.split(".");
+  const isIp = /^[0-9.]+$/.test(host) || host.startsWith("[");
+  if (!isIp) {
+    for (let i = labels.length - 2; i >= 1; i--) {
+      const domain = labels.slice(i).join(".");
+      if (!isPublicSuffix(domain)) scopes.push(`*.${domain}`);
+    }
+  }
+  scopes.push(host);
+  const segments = page.pathname.split("/").filter(Boolean).slice(0, RULE_SCOPE_MAX_SEGMENTS);
+  for (let i = 1; i <= segments.length; i++) {
+    scopes.push(`${host}/${segments.slice(0, i).join("/")}/*`);
+  }
+  return scopes;
+}
+
+function describeRule(pattern) {
+  return pattern === GLOBAL_RULE ? "global defaults" : pattern;
+}
+
+const BACKUP_FORMAT = "sonicspeed-backup";
+const BACKUP_VERSION = 2;
+// Version 1 files carried a single "myMix"; it's imported as a preset under this id.
+const LEGACY_MIX_PRESET_ID = "my-mix";
+const BACKUP_MAX_RULES = 5000;
+
+/** Versioned backup file contents; `data` holds domainSettings, userPresets, presetPins and hotkeys. */
+function buildBackup(data) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    domainSettings: data.domainSettings,
+    userPresets: data.userPresets,
+    presetPins: data.presetPins,
+    hotkeys: data.hotkeys,
+  };
+}
+
+/** The old single "My Mix" as a user preset. */
+function presetFromLegacyMix(mix) {
+  return { name: "My Mix", order: 0, settings: sanitizeSettings({ ...DEFAULTS, ...mix }, true) };
+}
+
+/**
+ * Validate a parsed backup file through the same sanitizers used for storage.
+ * Returns null when it isn't a backup this version can read; unknown or invalid
+ * rules are dropped, and sections missing from the file come back as null.
+ */
+function sanitizeBackup(raw) {
+  if (!raw || typeof raw !== "object" || raw.format !== BACKUP_FORMAT) return null;
+  const version = Number(raw.version);
+  if (!Number.isInteger(version) || version < 1 || version > BACKUP_VERSION) return null;
+
+  const domainSettings = {};
+  const src = raw.domainSettings && typeof raw.domainSettings === "object" ? raw.domainSettings : {};
+  for (const [key, value] of Object.entries(src).slice(0, BACKUP_MAX_RULES)) {
+    const pattern = normalizeRulePattern(key);
+    if (pattern && value && typeof value === "object") domainSettings[pattern] = sanitizeSettings(value, true);
+  }
+  let userPresets = raw.userPresets && typeof raw.userPresets === "object" ? sanitizeUserPresets(raw.userPresets) : null;
+  if (version === 1 && raw.myMix && typeof raw.myMix === "object") {
+    userPresets = { [LEGACY_MIX_PRESET_ID]: presetFromLegacyMix(raw.myMix) };
+  }
+  return {
+    domainSettings,
+    userPresets,
+    presetPins: raw.presetPins && typeof raw.presetPins === "object" ? sanitizePresetPins(raw.presetPins) : null,
+    hotkeys: raw.hotkeys && typeof raw.hotkeys === "object" ? sanitizeHotkeys(raw.hotkeys) : null,
+  };
+}
+
+function formatPercentFromBoost(boost) {
+  return `${Math.round(boost * 100)}%`;
+}
+
+function formatSpeed(speed) {
+  return `${speed.toFixed(1)}×`;
+}
+
+/** Ramp ends move in 0.05× steps, which formatSpeed would round away. */
+function formatRampSpeed(speed) {
+  return `${speed.toFixed(2)}×`;
+}
+
+/** A saved-time total: "42s", "3m 05s", "2h 14m". */
+function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  if (total < 60) return `${total}s`;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m ${String(total % 60).padStart(2, "0")}s`;
+}
+
+/** One-line summary: speed, boost, and Night Mode or pitch when set. */
+function describeSettings(settings) {
+  const parts = [formatSpeed(settings.speed), formatPercentFromBoost(settings.volumeBoost)];
+  if (settings.nightMode) parts.push("Night");
+  if (settings.pitchSemitones) parts.push(`${settings.pitchSemitones > 0 ? "+" : ""}${settings.pitchSemitones} st`);
+  if (settings.skipSilence) parts.push("Skip silence");
+  if (settings.speedRamp) parts.push(`Ramp ${formatRampSpeed(settings.rampStartSpeed)}→${formatRampSpeed(settings.rampTargetSpeed)}`);
+  return parts.join(" · ");
+}
+
+function createDebounced(fn, delayMs) {
+  let t = null;
+  return (...args) => {
+    if (t) clearTimeout(t);
+    t = setTimeout(() => fn(...args), delayMs);
+  };
+}
+
+/** Call the background message API; resolves null if it can't be reached. */
+async function sendBackgroundMessage(type, payload) {
+  try {
+    const res = await browser.runtime.sendMessage({ ...payload, type });
+    return res && typeof res === "object" ? res : null;
+  } catch {
+    return null;
+  }
+}
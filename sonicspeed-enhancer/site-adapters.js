@@ -0,0 +1,141 @@
+// Site adapters: what content.js needs to know about one platform's player. An
+// adapter is
+//
+//   {
+//     id,
+//     matches(hostname)            → true when this adapter handles the frame
+//     findMainPlayer(root, media)  → the element the page is about; null only when
+//                                    `media` is empty
+//     isAdPlaying(root, el)        → true while `el`'s player shows an ad
+//     navigationEvents             → window events fired after an in-page navigation
+//     nativeControlsSelector       → the player's own speed and settings menus (or null):
+//                                    keys pressed in them are the player's, and a rate
+//                                    picked in them is the user's
+//   }
+//
+// Adapters only look at the `root` they are given and the elements passed in, never
+// at window or location, so tests/site-adapters.test.js runs each against saved
+// pages in tests/fixtures with jsdom. The first registered adapter that matches wins; GENERIC_ADAPTER
+// covers everything else, including HLS/DASH players such as video.js and JW Player.
+
+const SITE_ADAPTERS = [];
+
+function registerSiteAdapter(adapter) {
+  SITE_ADAPTERS.push(Object.freeze({ ...GENERIC_ADAPTER, ...adapter }));
+}
+
+function siteAdapterFor(hostname) {
+  const host = String(hostname ?? "").toLowerCase();
+  return SITE_ADAPTERS.find((a) => a.matches(host)) ?? GENERIC_ADAPTER;
+}
+
+function hostMatches(host, domains) {
+  return domains.some((d) => host === d || host.endsWith(`.${d}`));
+}
+
+/** Rendered area, falling back to the intrinsic size for layouts that report none. */
+function mediaArea(el) {
+  const area = (el.clientWidth || 0) * (el.clientHeight || 0);
+  return area || (el.videoWidth || 0) * (el.videoHeight || 0);
+}
+
+/** Videos first, then the playing and the larger ones. */
+function pickLargestMedia(media) {
+  const rank = (el) => [el.localName === "video" ? 1 : 0, !el.paused && !el.ended ? 1 : 0, mediaArea(el)];
+  let best = null;
+  let bestRank = null;
+  for (const el of media) {
+    const r = rank(el);
+    const diff = bestRank ? r.map((v, i) => v - bestRank[i]).find((d) => d !== 0) ?? 0 : 1;
+    if (diff > 0) {
+      best = el;
+      bestRank = r;
+    }
+  }
+  return best;
+}
+
+/** The first element in `media` that matches `selector`. */
+function findMediaMatching(media, selector) {
+  return media.find((el) => el.matches(selector)) ?? null;
+}
+
+/** Media Source Extensions players play from blob: URLs. */
+function isMseMedia(el) {
+  return String(el.currentSrc || el.src || "").startsWith("blob:");
+}
+
+const GENERIC_PLAYER_SELECTOR = [
+  ".video-js video",
+  "video.vjs-tech",
+  "video.jw-video",
+  "video.shaka-video",
+  "video[data-dashjs-player]",
+  ".plyr video",
+].join(", ");
+
+const GENERIC_ADAPTER = Object.freeze({
+  id: "generic",
+  matches: () => true,
+  findMainPlayer(root, media) {
+    return (
+      findMediaMatching(media, GENERIC_PLAYER_SELECTOR) ??
+      pickLargestMedia(media.filter(isMseMedia)) ??
+      pickLargestMedia(media)
+    );
+  },
+  isAdPlaying(root, el) {
+    // videojs-contrib-ads and JW Player flag the player container during ads.
+    return Boolean(el && el.closest(".vjs-ad-playing, .jw-flag-ads"));
+  },
+  navigationEvents: Object.freeze([]),
+  // video.js's rate button cycles the speed on click, so it counts as a menu.
+  nativeControlsSelector: ".vjs-playback-rate, .vjs-menu, .jw-settings-menu, .shaka-settings-menu, .plyr__menu",
+});
+
+registerSiteAdapter({
+  id: "youtube",
+  matches: (host) => hostMatches(host, ["youtube.com", "youtube-nocookie.com"]),
+  findMainPlayer(root, media) {
+    return findMediaMatching(media, "#movie_player video, .html5-video-player video") ?? pickLargestMedia(media);
+  },
+  isAdPlaying(root, el) {
+    const player = (el && el.closest(".html5-video-player")) || root.querySelector(".html5-video-player");
+    return Boolean(player && player.classList.contains("ad-showing"));
+  },
+  navigationEvents: Object.freeze(["yt-navigate-finish"]),
+  nativeControlsSelector: ".ytp-settings-menu",
+});
+
+registerSiteAdapter({
+  id: "twitch",
+  matches: (host) => hostMatches(host, ["twitch.tv"]),
+  findMainPlayer(root, media) {
+    return findMediaMatching(media, '[data-a-target="video-player"] video, .video-player video') ?? pickLargestMedia(media);
+  },
+  isAdPlaying(root) {
+    return Boolean(root.querySelector('[data-a-target="video-ad-label"], [data-a-target="video-ad-countdown"]'));
+  },
+  nativeControlsSelector: '[data-a-target="player-settings-menu"]',
+});
+
+registerSiteAdapter({
+  id: "vimeo",
+  matches: (host) => hostMatches(host, ["vimeo.com"]),
+  findMainPlayer(root, media) {
+    return findMediaMatching(media, ".vp-video-wrapper video, .vp-video video") ?? pickLargestMedia(media);
+  },
+  isAdPlaying: () => false,
+  nativeControlsSelector: ".vp-menu",
+});
+
+// Subscription streaming players: one large MSE video and no ad markup worth trusting.
+registerSiteAdapter({
+  id: "mse-streaming",
+  matches: (host) => hostMatches(host, ["netflix.com", "primevideo.com", "disneyplus.com", "hulu.com", "max.com"]),
+  findMainPlayer(root, media) {
+    return pickLargestMedia(media.filter(isMseMedia)) ?? pickLargestMedia(media);
+  },
+  isAdPlaying: () => false,
+  nativeControlsSelector: null,
+});
@@ -0,0 +1,284 @@
+/* global browser */
+
+// Opt-in mirroring of site rules and user presets through storage.sync.
+// storage.local stays the working copy; every synced entry carries a timestamp
+// in `syncStamps` ("d:<pattern>" per rule, "p:<id>" per preset) and merges are
+// last-writer-wins per entry. A stamp without a value is a deletion. Preset pins
+// are per-device and stay local.
+//
+// storage.sync allows ~100 KB in total and 8 KB per item, so the payload is
+// compacted (only fields that differ from DEFAULTS, old deletions dropped) and
+// split across "sse_sync_<n>" items, with "sse_sync" describing the set.
+
+const SYNC_META_KEY = "sse_sync";
+const SYNC_CHUNK_PREFIX = "sse_sync_";
+// 2: presets as "p:<id>" entries. 1 had a single My Mix under "m" and no presets.
+const SYNC_PAYLOAD_VERSION = 2;
+const SYNC_ITEM_MAX_BYTES = 8000;
+// Compaction aims below the 100 KB quota to leave room for escaping the chunks.
+const SYNC_TARGET_BYTES = 76 * 1024;
+const SYNC_QUOTA_BYTES = 100 * 1024;
+const SYNC_DEBOUNCE_MS = 2000;
+const SYNC_TOMBSTONE_MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+
+const syncState = {
+  timer: 0,
+  lastSyncAt: null,
+  error: null,
+};
+
+function domainStampKey(pattern) {
+  return `d:${pattern}`;
+}
+
+function presetStampKey(id) {
+  return `p:${id}`;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Only the fields that differ from DEFAULTS. */
+function compactSettings(settings) {
+  const out = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (settings[key] !== undefined && !sameJson(settings[key], DEFAULTS[key])) out[key] = settings[key];
+  }
+  return out;
+}
+
+function compactPreset(preset) {
+  return { name: preset.name, order: preset.order, settings: compactSettings(preset.settings) };
+}
+
+/** Stamp every key of `next` whose value differs from `prev`. */
+function stampChanges(stamps, prev, next, stampKey, now) {
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    if (!sameJson(prev[key], next[key])) stamps[stampKey(key)] = now;
+  }
+}
+
+/**
+ * Write synced data (domainSettings and/or userPresets, plus anything local like
+ * presetPins) to storage.local, stamping every entry that changed so the next
+ * sync can tell which side is newer.
+ */
+async function writeSyncedData(data) {
+  const stored = await readLocal(["domainSettings", "userPresets", "syncStamps"]);
+  const stamps = { ...asObject(stored.syncStamps) };
+  const now = Date.now();
+  if (data.domainSettings) {
+    stampChanges(stamps, asObject(stored.domainSettings), data.domainSettings, domainStampKey, now);
+  }
+  if (data.userPresets) {
+    stampChanges(stamps, asObject(stored.userPresets), data.userPresets, presetStampKey, now);
+  }
+  await browser.storage.local.set({ ...data, syncStamps: stamps });
+  scheduleSync();
+}
+
+/** Local entries as { key: [timestamp, value | null] }; unstamped entries count as oldest. */
+function localEntries(stored) {
+  const stamps = asObject(stored.syncStamps);
+  const domainSettings = asObject(stored.domainSettings);
+  const entries = {};
+  for (const [pattern, settings] of Object.entries(domainSettings)) {
+    entries[domainStampKey(pattern)] = [Number(stamps[domainStampKey(pattern)]) || 1, compactSettings(settings)];
+  }
+  for (const [id, preset] of Object.entries(sanitizeUserPresets(stored.userPresets))) {
+    entries[presetStampKey(id)] = [Number(stamps[presetStampKey(id)]) || 1, compactPreset(preset)];
+  }
+  for (const [key, t] of Object.entries(stamps)) {
+    // Stamps from older payload layouts (like the single "My Mix") are dropped.
+    if (!entries[key] && Number(t) > 0 && /^[dp]:/.test(key)) entries[key] = [Number(t), null];
+  }
+  return entries;
+}
+
+/** Validate entries read from sync; anything malformed is ignored. */
+function sanitizeRemoteEntries(raw) {
+  const entries = {};
+  for (const [key, entry] of Object.entries(asObject(raw))) {
+    if (!Array.isArray(entry) || !(Number(entry[0]) > 0)) continue;
+    const value = entry[1] && typeof entry[1] === "object" ? entry[1] : null;
+    if (key.startsWith("p:")) {
+      const id = key.slice(2);
+      const preset = value && sanitizeUserPreset(value);
+      if (PRESET_ID_REGEX.test(id) && (preset || !value)) {
+        entries[presetStampKey(id)] = [Number(entry[0]), preset && compactPreset(preset)];
+      }
+    } else if (key.startsWith("d:")) {
+      const pattern = normalizeRulePattern(key.slice(2));
+      if (pattern) entries[domainStampKey(pattern)] = [Number(entry[0]), value && compactSettings(sanitizeSettings(value, true))];
+    }
+  }
+  return entries;
+}
+
+/**
+ * Last-writer-wins per entry. Ties are broken on the serialized value so every
+ * device picks the same winner and they don't keep overwriting each other.
+ */
+function mergeEntries(local, remote) {
+  const merged = { ...local };
+  for (const [key, entry] of Object.entries(remote)) {
+    const mine = merged[key];
+    if (!mine || entry[0] > mine[0] || (entry[0] === mine[0] && JSON.stringify(entry[1]) > JSON.stringify(mine[1]))) {
+      merged[key] = entry;
+    }
+  }
+  return merged;
+}
+
+/** Same keys, timestamps and values, regardless of key order. */
+function sameEntries(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => b[key] && a[key][0] === b[key][0] && sameJson(a[key][1], b[key][1]));
+}
+
+/** Version 1's My Mix entry as the preset it became (see presetFromLegacyMix). */
+function upgradeV1Entries(raw) {
+  const entries = { ...asObject(raw) };
+  const mix = entries.m;
+  delete entries.m;
+  const key = presetStampKey(LEGACY_MIX_PRESET_ID);
+  if (Array.isArray(mix) && !entries[key]) {
+    entries[key] = [mix[0], mix[1] && typeof mix[1] === "object" ? presetFromLegacyMix(mix[1]) : null];
+  }
+  return entries;
+}
+
+async function readRemoteEntries() {
+  const all = await browser.storage.sync.get(null);
+  if (!all[SYNC_META_KEY]) return {};
+  const meta = asObject(all[SYNC_META_KEY]);
+  // Merging a layout we can't read would write it back mangled; leave it to the newer build.
+  if (meta.v !== 1 && meta.v !== SYNC_PAYLOAD_VERSION) {
+    throw new Error("Another device syncs with a newer version of SonicSpeed. Update this one to keep syncing.");
+  }
+  let json = "";
+  for (let i = 0; i < (Number(meta.n) || 0); i++) {
+    const chunk = all[`${SYNC_CHUNK_PREFIX}${i}`];
+    if (typeof chunk !== "string") throw new Error("Another device is still syncing.");
+    json += chunk;
+  }
+  // A reader can race a writer on another device; the next change event retries.
+  if (json.length !== meta.len) throw new Error("Another device is still syncing.");
+  const raw = JSON.parse(json || "{}");
+  return sanitizeRemoteEntries(meta.v === 1 ? upgradeV1Entries(raw) : raw);
+}
+
+function chunkString(str, key) {
+  const chunks = [];
+  let pos = 0;
+  while (pos < str.length) {
+    let size = Math.min(str.length - pos, SYNC_ITEM_MAX_BYTES);
+    // Quotes and escapes grow when the chunk is stored as a JSON string.
+    while (JSON.stringify(str.slice(pos, pos + size)).length + key.length + 4 > SYNC_ITEM_MAX_BYTES) {
+      size = Math.floor(size * 0.9);
+    }
+    chunks.push(str.slice(pos, pos + size));
+    pos += size;
+  }
+  return chunks;
+}
+
+/** Drop deletions older than the tombstone window, then the oldest ones until it fits. */
+function compactEntries(entries) {
+  const now = Date.now();
+  const out = {};
+  for (const [key, entry] of Object.entries(entries)) {
+    if (entry[1] === null && now - entry[0] > SYNC_TOMBSTONE_MAX_AGE_MS) continue;
+    out[key] = entry;
+  }
+  const tombstones = Object.keys(out)
+    .filter((key) => out[key][1] === null)
+    .sort((a, b) => out[a][0] - out[b][0]);
+  while (JSON.stringify(out).length > SYNC_TARGET_BYTES && tombstones.length) delete out[tombstones.shift()];
+  return out;
+}
+
+async function writeRemoteEntries(entries, deviceId) {
+  const json = JSON.stringify(entries);
+  const chunks = chunkString(json, `${SYNC_CHUNK_PREFIX}000`);
+  const items = { [SYNC_META_KEY]: { v: SYNC_PAYLOAD_VERSION, n: chunks.length, len: json.length, w: deviceId, t: Date.now() } };
+  chunks.forEach((chunk, i) => {
+    items[`${SYNC_CHUNK_PREFIX}${i}`] = chunk;
+  });
+  const bytes = Object.entries(items).reduce((n, [key, value]) => n + key.length + JSON.stringify(value).length, 0);
+  if (bytes > SYNC_QUOTA_BYTES) throw new Error("Too many site rules and presets to fit in Firefox Sync.");
+  const existing = Object.keys(await browser.storage.sync.get(null));
+  const stale = existing.filter((key) => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+  await browser.storage.sync.set(items);
+  if (stale.length) await browser.storage.sync.remove(stale);
+}
+
+/** Pull, merge and push once. Runs in the write queue so local edits can't interleave. */
+function runSync() {
+  return enqueueWrite(async () => {
+    const stored = await readLocal(["syncEnabled", "domainSettings", "userPresets", "syncStamps"]);
+    if (!stored.syncEnabled) return;
+    try {
+      const deviceId = await getDeviceId();
+      const local = localEntries(stored);
+      const remote = await readRemoteEntries();
+      const merged = compactEntries(mergeEntries(local, remote));
+
+      if (!sameEntries(merged, local)) {
+        const domainSettings = {};
+        const userPresets = {};
+        const syncStamps = {};
+        for (const [key, [t, value]] of Object.entries(merged)) {
+          syncStamps[key] = t;
+          if (value === null) continue;
+          if (key.startsWith("p:")) userPresets[key.slice(2)] = sanitizeUserPreset(value);
+          else domainSettings[key.slice(2)] = sanitizeSettings(value, true);
+        }
+        await browser.storage.local.set({ domainSettings, userPresets, syncStamps });
+      }
+      if (!sameEntries(merged, remote)) await writeRemoteEntries(merged, deviceId);
+
+      syncState.lastSyncAt = Date.now();
+      syncState.error = null;
+    } catch (err) {
+      syncState.error = err && err.message ? err.message : "Sync failed.";
+    }
+  });
+}
+
+function scheduleSync() {
+  if (syncState.timer) clearTimeout(syncState.timer);
+  syncState.timer = setTimeout(() => {
+    syncState.timer = 0;
+    void runSync();
+  }, SYNC_DEBOUNCE_MS);
+}
+
+async function getSyncStatus() {
+  const stored = await readLocal("syncEnabled");
+  return {
+    enabled: Boolean(stored.syncEnabled),
+    lastSyncAt: syncState.lastSyncAt,
+    error: syncState.error,
+  };
+}
+
+async function setSyncEnabled(enabled) {
+  await browser.storage.local.set({ syncEnabled: Boolean(enabled) });
+  if (enabled) await runSync();
+  return getSyncStatus();
+}
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "sync" || !changes[SYNC_META_KEY]) return;
+  const meta = asObject(changes[SYNC_META_KEY].newValue);
+  void (async () => {
+    // Our own pushes come back as change events too.
+    if (meta.w && meta.w === (await readLocal("syncDeviceId")).syncDeviceId) return;
+    void runSync();
+  })();
+});
+
+void ready.then(runSync);
@@ -0,0 +1,251 @@
+/* global browser, indexedDB */
+
+// The free trial: TRIAL_DURATION_MS of Pro while media actually plays, once per
+// browser. Content scripts report playback time with SSE_TRIAL_USAGE; wall-clock
+// time doesn't count.
+//
+// The record in storage.local is { startedAt, usedMs, counter, ack, mac }. `mac` is
+// an HMAC over the other fields, keyed with a secret made when the extension is
+// installed. `counter` goes up with every write, and a copy of the record (the
+// ledger) is kept next to it. That catches edited and deleted records, and old
+// copies written back over newer ones. The secret and a "trial started" marker
+// live apart from both, in IndexedDB: the secret as a non-extractable CryptoKey,
+// so whoever edits the record can't sign a new one, and the marker so deleting
+// the record and ledger from storage.local doesn't free a new trial. With sync
+// turned on (sync.js) the ledger also goes to storage.sync, which outlives a
+// reinstall when Firefox keeps it, so the trial stays used then too; without it
+// nothing about the trial leaves this browser. A record that fails these checks
+// counts as a trial that has run out.
+
+const TRIAL_LEDGER_KEY = "trialLedger";
+const TRIAL_VAULT_DB = "sonicspeed-trial";
+const TRIAL_VAULT_STORE = "vault";
+// storage.sync is rate-limited; usage reaches the ledger once a minute.
+const TRIAL_LEDGER_STEP_MS = 60 * 1000;
+// One report covers at most this much playback, however long the gap since the last one.
+const TRIAL_USAGE_MAX_REPORT_MS = 15000;
+
+const trialState = {
+  hmacKey: null,
+  // Highest counter seen since startup, to spot records rolled back behind our back.
+  counter: 0,
+  // Frames in several tabs may play at once; each moment of playback counts once.
+  lastCountedAt: 0,
+};
+
+function bytesToBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function openTrialVault() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(TRIAL_VAULT_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(TRIAL_VAULT_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** One value from the vault ("hmacKey" or "startedAt"); undefined when missing or unreadable. */
+async function readTrialVault(name) {
+  try {
+    const db = await openTrialVault();
+    try {
+      return await new Promise((resolve, reject) => {
+        const req = db.transaction(TRIAL_VAULT_STORE).objectStore(TRIAL_VAULT_STORE).get(name);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    } finally {
+      db.close();
+    }
+  } catch {
+    return undefined;
+  }
+}
+
+async function writeTrialVault(name, value) {
+  const db = await openTrialVault();
+  try {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(TRIAL_VAULT_STORE, "readwrite");
+      tx.objectStore(TRIAL_VAULT_STORE).put(value, name);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function loadTrialKey() {
+  if (!trialState.hmacKey) {
+    trialState.hmacKey = readTrialVault("hmacKey").then((key) => key ?? null);
+  }
+  return trialState.hmacKey;
+}
+
+function trialMacInput(record) {
+  return new TextEncoder().encode(`${record.startedAt}|${record.usedMs}|${record.counter}|${record.ack ? 1 : 0}`);
+}
+
+async function signTrialRecord(record) {
+  const key = await loadTrialKey();
+  return bytesToBase64Url(new Uint8Array(await crypto.subtle.sign("HMAC", key, trialMacInput(record))));
+}
+
+async function isTrialRecordIntact(record) {
+  if (!(await loadTrialKey())) return false;
+  if (!Number.isFinite(record.startedAt) || !Number.isFinite(record.usedMs) || !Number.isInteger(record.counter)) {
+    return false;
+  }
+  // HMAC output compared as text; both sides are produced here, so timing doesn't leak anything useful.
+  return record.mac === (await signTrialRecord(record));
+}
+
+/** The local ledger, or the synced one when sync is on and it is further along. */
+async function readTrialLedger() {
+  const stored = await readLocal([TRIAL_LEDGER_KEY, "syncEnabled"]);
+  const local = asObject(stored[TRIAL_LEDGER_KEY]);
+  if (!stored.syncEnabled) return local;
+  try {
+    const synced = asObject((await browser.storage.sync.get(TRIAL_LEDGER_KEY))[TRIAL_LEDGER_KEY]);
+    if (!Number.isFinite(local.startedAt) || Number(synced.counter) > Number(local.counter)) return synced;
+  } catch {
+    // ignore
+  }
+  return local;
+}
+
+/** Sign and store the record; the ledger follows on start, acknowledgement and each used minute. */
+async function writeTrialRecord(record, prevUsedMs) {
+  const next = { ...record, counter: Math.max(record.counter, trialState.counter) + 1 };
+  next.mac = await signTrialRecord(next);
+  // Starts and acknowledgements only; usage doesn't change the start.
+  if (prevUsedMs === undefined) await writeTrialVault("startedAt", next.startedAt);
+  await browser.storage.local.set({ trial: next });
+  trialState.counter = next.counter;
+  const step = (ms) => Math.floor(ms / TRIAL_LEDGER_STEP_MS);
+  if (prevUsedMs === undefined || step(prevUsedMs) !== step(next.usedMs) || next.usedMs >= TRIAL_DURATION_MS) {
+    const { mac, ...ledger } = next;
+    await browser.storage.local.set({ [TRIAL_LEDGER_KEY]: ledger });
+    if ((await readLocal("syncEnabled")).syncEnabled) {
+      try {
+        await browser.storage.sync.set({ [TRIAL_LEDGER_KEY]: ledger });
+      } catch {
+        // ignore
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * Make the install secret, and carry over a trial started by a version that only
+ * stored its start time or kept the secret in storage.local.
+ */
+async function initTrialStorage() {
+  const stored = await readLocal(["trialSecret", "trial", "trialStartTime", "syncEnabled"]);
+  if (!stored.syncEnabled) {
+    // Earlier versions put the ledger in storage.sync whether or not sync was turned on.
+    try {
+      await browser.storage.sync.remove(TRIAL_LEDGER_KEY);
+    } catch {
+      // ignore
+    }
+  }
+  if (!(await readTrialVault("hmacKey"))) {
+    const algorithm = { name: "HMAC", hash: "SHA-256" };
+    // A record without the secret that signed it can't be trusted; it stays and reads as used up.
+    const key = typeof stored.trialSecret === "string"
+      ? await crypto.subtle.importKey("raw", base64UrlToBytes(stored.trialSecret), algorithm, false, ["sign"])
+      : await crypto.subtle.generateKey(algorithm, false, ["sign"]);
+    await writeTrialVault("hmacKey", key);
+    trialState.hmacKey = null;
+  }
+  if ("trialSecret" in stored) await browser.storage.local.remove("trialSecret");
+  const record = asObject(stored.trial);
+  if (Number.isFinite(record.startedAt) && (await readTrialVault("startedAt")) === undefined) {
+    await writeTrialVault("startedAt", record.startedAt);
+  }
+  const legacy = stored.trialStartTime;
+  if (typeof legacy === "number" && legacy > 0 && !stored.trial) {
+    const usedMs = Math.min(TRIAL_DURATION_MS, Math.max(0, Date.now() - legacy));
+    await writeTrialRecord({ startedAt: legacy, usedMs, counter: 0, ack: false });
+  }
+  if ("trialStartTime" in stored) await browser.storage.local.remove("trialStartTime");
+}
+
+// Queued right behind migrateStorage, ahead of anything that reads the trial.
+const trialReady = enqueueWrite(initTrialStorage);
+
+/**
+ * The trial as far as it can be trusted: { startedAt, usedMs, remainingMs, used,
+ * acknowledged, record }. `used` means no new trial may start; `record` is the
+ * verified stored record, or null when there is none or it failed the checks.
+ */
+async function getTrialState() {
+  await trialReady;
+  // Taken before reading, so a write finishing meanwhile can't make its own old record look rolled back.
+  const floor = trialState.counter;
+  const [{ trial }, ledger, startedAt] = await Promise.all([readLocal("trial"), readTrialLedger(), readTrialVault("startedAt")]);
+  const hasLedger = Number.isFinite(ledger.startedAt);
+  if (!trial) {
+    // With the marker set, the record was deleted rather than never written.
+    const used = hasLedger || startedAt !== undefined;
+    return { startedAt: null, usedMs: used ? TRIAL_DURATION_MS : 0, remainingMs: 0, used, acknowledged: true, record: null };
+  }
+  const record = asObject(trial);
+  const intact =
+    (await isTrialRecordIntact(record)) &&
+    record.counter >= floor &&
+    // The ledger may trail the record by a minute of usage, but never lead it.
+    !(hasLedger && ledger.startedAt === record.startedAt && ledger.counter > record.counter);
+  if (!intact) {
+    return { startedAt: null, usedMs: TRIAL_DURATION_MS, remainingMs: 0, used: true, acknowledged: true, record: null };
+  }
+  trialState.counter = Math.max(trialState.counter, record.counter);
+  const usedMs = Math.min(TRIAL_DURATION_MS, Math.max(record.usedMs, hasLedger && ledger.startedAt === record.startedAt ? Number(ledger.usedMs) || 0 : 0));
+  return {
+    startedAt: record.startedAt,
+    usedMs,
+    remainingMs: TRIAL_DURATION_MS - usedMs,
+    used: true,
+    acknowledged: Boolean(record.ack),
+    record,
+  };
+}
+
+function startTrial() {
+  return enqueueWrite(async () => {
+    if ((await getTrialState()).used) return { ok: false, reason: "used" };
+    await writeTrialRecord({ startedAt: Date.now(), usedMs: 0, counter: 0, ack: false });
+    return { ok: true };
+  });
+}
+
+/** Count `ms` of playback against the running trial. */
+function addTrialUsage(ms) {
+  return enqueueWrite(async () => {
+    const trial = await getTrialState();
+    if (!trial.record || trial.remainingMs <= 0) return { ok: true, remainingMs: 0 };
+    const now = Date.now();
+    const counted = Math.min(ms, TRIAL_USAGE_MAX_REPORT_MS, Math.max(0, now - trialState.lastCountedAt));
+    trialState.lastCountedAt = now;
+    if (counted <= 0) return { ok: true, remainingMs: trial.remainingMs };
+    const usedMs = Math.min(TRIAL_DURATION_MS, trial.usedMs + counted);
+    await writeTrialRecord({ ...trial.record, usedMs }, trial.usedMs);
+    return { ok: true, remainingMs: TRIAL_DURATION_MS - usedMs };
+  });
+}
+
+/** The popup has told the user the trial ended; don't tell them again. */
+function acknowledgeTrial() {
+  return enqueueWrite(async () => {
+    const trial = await getTrialState();
+    if (trial.record && trial.remainingMs <= 0 && !trial.acknowledged) {
+      await writeTrialRecord({ ...trial.record, usedMs: trial.usedMs, ack: true });
+    }
+    return { ok: true };
+  });
+}
@@ -0,0 +1,133 @@
+// Backup files: validating them, and merging them with keep/incoming choices: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("background.js")}`;
+
+/** shared.js and background.js over storage.local seeded with `local`, on a free plan. */
+function loadBackground(local) {
+  const area = (data) => ({
+    async get(keys) {
+      const out = {};
+      for (const key of [].concat(keys)) if (key in data) out[key] = data[key];
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, items);
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+  });
+  const listener = { addListener() {} };
+  const browser = {
+    storage: { local: area(local), session: area({}) },
+    runtime: { id: "sonicspeed", getURL: (p) => `moz-extension://sonicspeed/${p}`, onMessage: listener },
+    tabs: { onRemoved: listener },
+    webNavigation: { onHistoryStateUpdated: listener },
+  };
+  const context = vm.createContext({
+    browser,
+    URL,
+    crypto: globalThis.crypto,
+    getTrialState: async () => ({ startedAt: null, remainingMs: 0, used: false, acknowledged: false }),
+    getLicenseState: async () => ({ active: false, status: "none", details: null }),
+    writeSyncedData: (data) => browser.storage.local.set(data),
+  });
+  return vm.runInContext(`${SOURCE}\n;({ sanitizeBackup, importBackup, exportBackup });`, context);
+}
+
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+function backupFile(fields) {
+  return { format: "sonicspeed-backup", version: 2, exportedAt: "2026-01-01T00:00:00.000Z", ...fields };
+}
+
+test("files that aren't a backup this version reads are refused", () => {
+  const { sanitizeBackup } = loadBackground({});
+  assert.strictEqual(sanitizeBackup(null), null);
+  assert.strictEqual(sanitizeBackup({ format: "something-else", version: 2 }), null);
+  assert.strictEqual(sanitizeBackup(backupFile({ version: 3 })), null);
+  assert.strictEqual(sanitizeBackup(backupFile({ version: 0 })), null);
+  assert.strictEqual(sanitizeBackup(backupFile({ version: "two" })), null);
+});
+
+test("a backup is cleaned through the storage sanitizers", () => {
+  const { sanitizeBackup } = loadBackground({});
+  const backup = sanitizeBackup(backupFile({
+    domainSettings: {
+      "WWW.Example.com": { speed: 40, nightMode: true },
+      "not a pattern": { speed: 2 },
+      "example.org": "fast",
+    },
+    userPresets: { talks: { name: "  Talks  ", settings: { speed: 1.75 } }, "Bad Id!": { name: "x", settings: {} } },
+    presetPins: { "example.com": "talks", "*.example.com": "talks" },
+  }));
+  assert.deepStrictEqual(Object.keys(backup.domainSettings), ["www.example.com"]);
+  assert.strictEqual(backup.domainSettings["www.example.com"].speed, 16);
+  // Pro-only values are kept; the plan gates them when they're used.
+  assert.strictEqual(backup.domainSettings["www.example.com"].nightMode, true);
+  assert.deepStrictEqual(Object.keys(backup.userPresets), ["talks"]);
+  assert.strictEqual(backup.userPresets.talks.name, "Talks");
+  assert.deepStrictEqual(plain(backup.presetPins), { "example.com": "talks" });
+  // Sections missing from the file stay missing rather than coming back empty.
+  assert.strictEqual(backup.hotkeys, null);
+});
+
+test("a version 1 file's My Mix comes in as a preset", () => {
+  const { sanitizeBackup } = loadBackground({});
+  const backup = sanitizeBackup(backupFile({ version: 1, myMix: { speed: 1.5 } }));
+  assert.strictEqual(backup.userPresets["my-mix"].name, "My Mix");
+  assert.strictEqual(backup.userPresets["my-mix"].settings.speed, 1.5);
+});
+
+test("importing takes what the file has unless a choice says keep", async () => {
+  const local = {
+    domainSettings: { "a.example": { speed: 1.25 }, "b.example": { speed: 1.5 }, "c.example": { speed: 3 } },
+    userPresets: { mine: { name: "Mine", order: 0, settings: { speed: 2 } } },
+    presetPins: {},
+    hotkeys: { speedUp: "KeyQ" },
+  };
+  const bg = loadBackground(local);
+  const res = await bg.importBackup(
+    backupFile({
+      domainSettings: { "a.example": { speed: 4 }, "b.example": { speed: 5 }, "new.example": { speed: 6 } },
+      userPresets: { mine: { name: "Theirs", settings: { speed: 3 } }, talks: { name: "Talks", settings: { speed: 1.75 } } },
+      presetPins: { "c.example": "talks", "d.example": "mine" },
+      hotkeys: { speedUp: "KeyW" },
+    }),
+    { domains: { "a.example": "keep", "b.example": "incoming" }, presets: { mine: "keep" }, hotkeys: "keep" },
+  );
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.imported, 2);
+
+  const speeds = Object.fromEntries(Object.entries(local.domainSettings).map(([p, s]) => [p, s.speed]));
+  assert.deepStrictEqual(speeds, { "a.example": 1.25, "b.example": 5, "c.example": 3, "new.example": 6 });
+  assert.strictEqual(local.userPresets.mine.name, "Mine");
+  assert.strictEqual(local.userPresets.talks.name, "Talks");
+  // Only pins to presets that came in are taken.
+  assert.deepStrictEqual(plain(local.presetPins), { "c.example": "talks" });
+  assert.strictEqual(local.hotkeys.speedUp, "KeyQ");
+});
+
+test("an export imported into an empty profile exports the same", async () => {
+  const local = {
+    domainSettings: { "*": { speed: 1.1 }, "www.example.com/talks/*": { speed: 1.75, pitchSemitones: -2 } },
+    userPresets: { talks: { name: "Talks", order: 0, settings: { speed: 1.75 } } },
+    presetPins: { "example.com": "talks" },
+  };
+  const exported = plain(await loadBackground(local).exportBackup());
+  assert.strictEqual(exported.format, "sonicspeed-backup");
+  assert.strictEqual(exported.domainSettings["www.example.com/talks/*"].pitchSemitones, -2);
+
+  const fresh = loadBackground({});
+  assert.strictEqual((await fresh.importBackup(exported)).ok, true);
+  const again = plain(await fresh.exportBackup());
+  assert.deepStrictEqual({ ...again, exportedAt: null }, { ...exported, exportedAt: null });
+});
@@ -0,0 +1,90 @@
+// Checks how stored licenses are judged, with tokens from the mock server's key: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { signToken } = require("../tools/mock-license-server.js");
+
+const LICENSE_SOURCE = fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer/license.js"), "utf8");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * license.js with the background script's helpers stubbed and storage.local held in
+ * `local`, as a temporarily loaded install (so the mock server's key is trusted) that
+ * can't reach any license server.
+ */
+function loadLicense(local) {
+  const browser = {
+    storage: {
+      local: {
+        async get(keys) {
+          const out = {};
+          for (const key of [].concat(keys)) if (key in local) out[key] = local[key];
+          return out;
+        },
+        async set(items) {
+          Object.assign(local, items);
+        },
+        async remove(keys) {
+          for (const key of [].concat(keys)) delete local[key];
+        },
+      },
+    },
+    management: { getSelf: async () => ({ installType: "development" }) },
+  };
+  const context = vm.createContext({
+    browser,
+    crypto: globalThis.crypto,
+    atob,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    fetch: async () => {
+      throw new Error("offline");
+    },
+    asObject: (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {}),
+    readLocal: (keys) => browser.storage.local.get(keys),
+    enqueueWrite: (fn) => fn(),
+    getDeviceId: async () => local.syncDeviceId,
+    ready: Promise.resolve(),
+  });
+  return vm.runInContext(`${LICENSE_SOURCE}\n;({ getLicenseState, LICENSE_GRACE_MS });`, context);
+}
+
+function onlineLicense(lastValidatedAt) {
+  const token = signToken({ lid: "test", email: "solo@example.com", seats: 1, iat: 0, exp: null, device: "dev-1", mode: "online" });
+  return { syncDeviceId: "dev-1", license: { token, online: true, activatedAt: 0, lastValidatedAt } };
+}
+
+test("a recently confirmed online license is active", async () => {
+  const { getLicenseState } = loadLicense(onlineLicense(Date.now() - 60 * 1000));
+  assert.strictEqual((await getLicenseState()).status, "active");
+});
+
+test("an online license past its grace period is unverified", async () => {
+  const license = loadLicense({});
+  const { getLicenseState } = loadLicense(onlineLicense(Date.now() - license.LICENSE_GRACE_MS - DAY_MS));
+  const state = await getLicenseState();
+  assert.strictEqual(state.status, "unverified");
+  assert.strictEqual(state.active, false);
+});
+
+test("a check time in the future counts as never confirmed", async () => {
+  const { getLicenseState } = loadLicense(onlineLicense(Date.now() + 365 * DAY_MS));
+  const state = await getLicenseState();
+  assert.strictEqual(state.status, "unverified");
+  assert.strictEqual(state.active, false);
+  assert.strictEqual(state.details.lastValidatedAt, 0);
+});
+
+test("a check time a little ahead of this clock is allowed", async () => {
+  const { getLicenseState } = loadLicense(onlineLicense(Date.now() + 60 * 1000));
+  assert.strictEqual((await getLicenseState()).status, "active");
+});
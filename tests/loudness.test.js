@@ -0,0 +1,71 @@
+// Checks the loudness meter's K-weighting filters against ITU-R BS.1770: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SHARED_SOURCE = fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer/shared.js"), "utf8");
+const { K_WEIGHTING } = vm.runInNewContext(`${SHARED_SOURCE}\n;({ K_WEIGHTING });`);
+
+const SAMPLE_RATE = 48000;
+
+// BS.1770-4 reference coefficients at 48 kHz: the high shelf, then the RLB high-pass.
+const BS1770_SHELF = {
+  b: [1.53512485958697, -2.69169618940638, 1.19839281085285],
+  a: [1, -1.69065929318241, 0.73248077421585],
+};
+const BS1770_HIGHPASS = { b: [1, -2, 1], a: [1, -1.99004745483398, 0.99007225036621] };
+
+/**
+ * Coefficients a BiquadFilterNode with these settings uses, per the Web Audio spec's
+ * filter formulas (highpass Q in dB, highshelf with a slope of 1).
+ */
+function webAudioBiquad({ type, frequency, Q = 0, gain = 0 }, fs) {
+  const w0 = (2 * Math.PI * frequency) / fs;
+  const cos = Math.cos(w0);
+  if (type === "highpass") {
+    const alpha = Math.sin(w0) / (2 * 10 ** (Q / 20));
+    return { b: [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2], a: [1 + alpha, -2 * cos, 1 - alpha] };
+  }
+  if (type === "highshelf") {
+    const A = 10 ** (gain / 40);
+    const s = Math.sin(w0) * Math.SQRT2 * Math.sqrt(A);
+    return {
+      b: [A * (A + 1 + (A - 1) * cos + s), -2 * A * (A - 1 + (A + 1) * cos), A * (A + 1 + (A - 1) * cos - s)],
+      a: [A + 1 - (A - 1) * cos + s, 2 * (A - 1 - (A + 1) * cos), A + 1 - (A - 1) * cos - s],
+    };
+  }
+  throw new Error(`unsupported filter type ${type}`);
+}
+
+/** Magnitude response in dB of a biquad at `f` Hz. */
+function magnitudeDb({ b, a }, f, fs) {
+  const w = (2 * Math.PI * f) / fs;
+  const abs = (c) => Math.hypot(c[0] + c[1] * Math.cos(w) + c[2] * Math.cos(2 * w), c[1] * Math.sin(w) + c[2] * Math.sin(2 * w));
+  return 20 * Math.log10(abs(b) / abs(a));
+}
+
+const FREQUENCIES = [10, 20, 38, 60, 100, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+test("the high-pass matches the BS.1770 RLB stage", () => {
+  const ours = webAudioBiquad(K_WEIGHTING.highpass, SAMPLE_RATE);
+  for (const f of FREQUENCIES) {
+    const diff = magnitudeDb(ours, f, SAMPLE_RATE) - magnitudeDb(BS1770_HIGHPASS, f, SAMPLE_RATE);
+    assert.ok(Math.abs(diff) < 0.1, `${f} Hz is off by ${diff.toFixed(2)} dB`);
+  }
+  // About −6 dB at the corner, not a resonant peak.
+  assert.ok(Math.abs(magnitudeDb(ours, 38.14, SAMPLE_RATE) + 6) < 0.1);
+});
+
+test("the full K-weighting curve stays within half a dB of BS.1770", () => {
+  const shelf = webAudioBiquad(K_WEIGHTING.shelf, SAMPLE_RATE);
+  const highpass = webAudioBiquad(K_WEIGHTING.highpass, SAMPLE_RATE);
+  for (const f of FREQUENCIES) {
+    const ours = magnitudeDb(shelf, f, SAMPLE_RATE) + magnitudeDb(highpass, f, SAMPLE_RATE);
+    const ref = magnitudeDb(BS1770_SHELF, f, SAMPLE_RATE) + magnitudeDb(BS1770_HIGHPASS, f, SAMPLE_RATE);
+    assert.ok(Math.abs(ours - ref) < 0.5, `${f} Hz is off by ${(ours - ref).toFixed(2)} dB`);
+  }
+});
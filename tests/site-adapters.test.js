@@ -0,0 +1,113 @@
+// Runs each site adapter against a saved page in jsdom: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+
+const ADAPTERS_SOURCE = fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer/site-adapters.js"), "utf8");
+
+/** site-adapters.js run inside `dom`, the way the manifest loads content scripts. */
+function loadAdapters(dom) {
+  return vm.runInContext(`${ADAPTERS_SOURCE}\n;({ siteAdapterFor });`, dom.getInternalVMContext());
+}
+
+/**
+ * The fixture as a page on `url`, with its site adapter. jsdom does no layout, so each media element's
+ * rendered size is taken from its width/height attributes.
+ */
+function loadFixture(name, url) {
+  const html = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+  const dom = new JSDOM(html, { url, runScripts: "outside-only" });
+  const { document } = dom.window;
+  const media = Array.from(document.querySelectorAll("video, audio"));
+  for (const el of media) {
+    Object.defineProperty(el, "clientWidth", { value: Number(el.getAttribute("width")) || 0 });
+    Object.defineProperty(el, "clientHeight", { value: Number(el.getAttribute("height")) || 0 });
+  }
+  const adapter = loadAdapters(dom).siteAdapterFor(dom.window.location.hostname);
+  const byTestId = (id) => document.querySelector(`[data-testid="${id}"]`);
+  return { document, media, adapter, byTestId };
+}
+
+/** Whether a key press or click on `el` would count as one in the player's own menus. */
+function inNativeControls(adapter, el) {
+  return Boolean(adapter.nativeControlsSelector && el.closest(adapter.nativeControlsSelector));
+}
+
+const PAGES = [
+  { fixture: "youtube.html", url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ", id: "youtube", ad: false },
+  { fixture: "youtube-ad.html", url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ", id: "youtube", ad: true },
+  { fixture: "twitch.html", url: "https://www.twitch.tv/somechannel", id: "twitch", ad: false },
+  { fixture: "twitch-ad.html", url: "https://www.twitch.tv/somechannel", id: "twitch", ad: true },
+  { fixture: "vimeo.html", url: "https://player.vimeo.com/video/76979871", id: "vimeo", ad: false },
+  { fixture: "netflix.html", url: "https://www.netflix.com/watch/80100172", id: "mse-streaming", ad: false },
+  { fixture: "videojs.html", url: "https://news.example.com/story", id: "generic", ad: true },
+  { fixture: "jwplayer.html", url: "https://video.example.org/watch/42", id: "generic", ad: true },
+];
+
+for (const page of PAGES) {
+  test(`${page.fixture}: ${page.id} adapter`, async (t) => {
+    const { document, media, adapter, byTestId } = loadFixture(page.fixture, page.url);
+    const main = byTestId("main-player");
+
+    await t.test("is picked for the host", () => {
+      assert.strictEqual(adapter.id, page.id);
+    });
+
+    await t.test("findMainPlayer finds the page's player", () => {
+      assert.ok(media.length > 1, "fixture should have more than one media element");
+      assert.strictEqual(adapter.findMainPlayer(document, media), main);
+    });
+
+    await t.test(`isAdPlaying is ${page.ad}`, () => {
+      assert.strictEqual(adapter.isAdPlaying(document, main), page.ad);
+    });
+
+    await t.test("nativeControlsSelector covers the speed menu but not the control bar", (t2) => {
+      if (!adapter.nativeControlsSelector) return t2.skip("no native menus on this player");
+      assert.ok(inNativeControls(adapter, byTestId("speed-item")));
+      assert.ok(!inNativeControls(adapter, byTestId("play-button")));
+      assert.ok(!inNativeControls(adapter, main));
+      const seekBar = byTestId("seek-bar");
+      if (seekBar) assert.ok(!inNativeControls(adapter, seekBar));
+    });
+
+    await t.test("navigationEvents is a list of event names", () => {
+      assert.ok(Array.isArray(adapter.navigationEvents));
+      for (const type of adapter.navigationEvents) assert.strictEqual(typeof type, "string");
+    });
+  });
+}
+
+test("the generic adapter prefers the larger MSE video on an unknown site", () => {
+  const { document, media, adapter, byTestId } = loadFixture("netflix.html", "https://unknown.example/");
+  assert.strictEqual(adapter.id, "generic");
+  assert.strictEqual(adapter.findMainPlayer(document, media), byTestId("main-player"));
+  assert.strictEqual(adapter.findMainPlayer(document, []), null);
+});
+
+test("every adapter picks something whenever there is media", () => {
+  const dom = new JSDOM("<audio></audio><video></video>", { runScripts: "outside-only" });
+  const { document } = dom.window;
+  const { siteAdapterFor } = loadAdapters(dom);
+  const [audio, video] = document.querySelectorAll("audio, video");
+  for (const host of ["www.youtube.com", "www.twitch.tv", "vimeo.com", "www.netflix.com", "unknown.example"]) {
+    const adapter = siteAdapterFor(host);
+    assert.strictEqual(adapter.findMainPlayer(document, [audio, video]), video, adapter.id);
+    assert.strictEqual(adapter.findMainPlayer(document, [audio]), audio, adapter.id);
+  }
+});
+
+test("hosts only match whole domain labels", () => {
+  const { siteAdapterFor } = loadAdapters(new JSDOM("", { runScripts: "outside-only" }));
+  assert.strictEqual(siteAdapterFor("m.youtube.com").id, "youtube");
+  assert.strictEqual(siteAdapterFor("www.youtube-nocookie.com").id, "youtube");
+  assert.strictEqual(siteAdapterFor("notyoutube.com").id, "generic");
+  assert.strictEqual(siteAdapterFor("clips.twitch.tv").id, "twitch");
+  assert.strictEqual(siteAdapterFor("www.primevideo.com").id, "mse-streaming");
+  assert.strictEqual(siteAdapterFor("").id, "generic");
+});
@@ -0,0 +1,130 @@
+// Site rules and saving through the background script, with storage held in memory: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("background.js")}`;
+
+/**
+ * shared.js and background.js, as the manifest loads them, over storage.local
+ * seeded with `local`. The trial, license and sync scripts are stubbed: a free
+ * plan, and synced writes go straight to storage.local.
+ */
+function loadBackground(local) {
+  const area = (data) => ({
+    async get(keys) {
+      const out = {};
+      for (const key of [].concat(keys)) if (key in data) out[key] = data[key];
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, items);
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+  });
+  const listener = { addListener() {} };
+  const browser = {
+    storage: { local: area(local), session: area({}) },
+    runtime: { id: "sonicspeed", getURL: (p) => `moz-extension://sonicspeed/${p}`, onMessage: listener },
+    tabs: { onRemoved: listener },
+    webNavigation: { onHistoryStateUpdated: listener },
+  };
+  const context = vm.createContext({
+    browser,
+    URL,
+    crypto: globalThis.crypto,
+    getTrialState: async () => ({ startedAt: null, remainingMs: 0, used: false, acknowledged: false }),
+    getLicenseState: async () => ({ active: false, status: "none", details: null }),
+    writeSyncedData: (data) => browser.storage.local.set(data),
+  });
+  return vm.runInContext(`${SOURCE}\n;({ setSettings, getSettings, clearSiteRules, parsePageUrl, ruleScopesForPage });`, context);
+}
+
+test("saving to a broader scope keeps the page's more specific rules", async () => {
+  const local = {
+    domainSettings: {
+      "www.youtube.com": { speed: 1.5 },
+      "www.youtube.com/shorts/*": { speed: 1.25 },
+      "music.youtube.com": { speed: 1 },
+    },
+  };
+  const bg = loadBackground(local);
+  const page = bg.parsePageUrl("https://www.youtube.com/shorts/abc");
+
+  const res = await bg.setSettings(page, { speed: 2 }, "*");
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.rule, "*");
+  assert.deepStrictEqual([...res.narrower].sort(), ["www.youtube.com", "www.youtube.com/shorts/*"]);
+
+  const rules = local.domainSettings;
+  assert.deepStrictEqual(Object.keys(rules).sort(), ["*", "music.youtube.com", "www.youtube.com", "www.youtube.com/shorts/*"]);
+  assert.strictEqual(rules["*"].speed, 2);
+  assert.strictEqual(rules["www.youtube.com"].speed, 1.5);
+
+  // The page still gets its own rule.
+  const site = await bg.getSettings(page);
+  assert.strictEqual(site.rule, "www.youtube.com/shorts/*");
+  assert.strictEqual(site.settings.speed, 1.25);
+});
+
+test("saving to a subdomain wildcard lists only the rules that beat it here", async () => {
+  const local = { domainSettings: { "www.youtube.com": { speed: 1.5 }, "*": { speed: 1.1 } } };
+  const bg = loadBackground(local);
+  const res = await bg.setSettings(bg.parsePageUrl("https://www.youtube.com/watch"), { speed: 3 }, "*.youtube.com");
+  assert.deepStrictEqual([...res.narrower], ["www.youtube.com"]);
+  assert.deepStrictEqual(Object.keys(local.domainSettings).sort(), ["*", "*.youtube.com", "www.youtube.com"]);
+});
+
+test("the scope picker never offers a public suffix", () => {
+  const bg = loadBackground({});
+  const scopesFor = (url) => [...bg.ruleScopesForPage(bg.parsePageUrl(url))];
+  assert.deepStrictEqual(scopesFor("https://bbc.co.uk/"), ["*", "bbc.co.uk"]);
+  assert.deepStrictEqual(scopesFor("https://www.bbc.co.uk/iplayer"), ["*", "*.bbc.co.uk", "www.bbc.co.uk", "www.bbc.co.uk/iplayer/*"]);
+  assert.deepStrictEqual(scopesFor("https://www.abc.net.au/"), ["*", "*.abc.net.au", "www.abc.net.au"]);
+  assert.deepStrictEqual(scopesFor("https://video.nhk.or.jp/"), ["*", "*.nhk.or.jp", "video.nhk.or.jp"]);
+  assert.deepStrictEqual(scopesFor("https://someone.github.io/talks"), ["*", "someone.github.io", "someone.github.io/talks/*"]);
+  assert.deepStrictEqual(scopesFor("https://m.youtube.com/"), ["*", "*.youtube.com", "m.youtube.com"]);
+  assert.deepStrictEqual(scopesFor("https://192.168.1.10/"), ["*", "192.168.1.10"]);
+});
+
+test("resetting a site to the global defaults keeps wildcard rules other sites share", async () => {
+  const local = {
+    domainSettings: {
+      "*": { speed: 1.1 },
+      "*.youtube.com": { speed: 2 },
+      "www.youtube.com": { speed: 1.5 },
+      "www.youtube.com/shorts/*": { speed: 1.25 },
+      "www.youtube.com/live/*": { speed: 1 },
+      "music.youtube.com": { speed: 1 },
+    },
+  };
+  const bg = loadBackground(local);
+  const page = bg.parsePageUrl("https://www.youtube.com/shorts/abc");
+  const shared = await bg.clearSiteRules(page);
+  assert.deepStrictEqual([...shared], ["*.youtube.com"]);
+  assert.deepStrictEqual(Object.keys(local.domainSettings).sort(), ["*", "*.youtube.com", "music.youtube.com", "www.youtube.com/live/*"]);
+  assert.strictEqual((await bg.getSettings(page)).rule, "*.youtube.com");
+});
+
+test("saving on a free plan keeps the rule's Pro-only settings", async () => {
+  const eqGains = [3, 0, 0, 0, 0, 0, 0, 0, 0, -3];
+  const local = { domainSettings: { "www.youtube.com": { speed: 1.5, nightMode: true, pitchSemitones: 2, eqGains } } };
+  const bg = loadBackground(local);
+  const page = bg.parsePageUrl("https://www.youtube.com/watch");
+
+  // The popup only has the gated values to send back.
+  const res = await bg.setSettings(page, { ...(await bg.getSettings(page)).settings, speed: 2 });
+  assert.strictEqual(res.settings.nightMode, false);
+  const stored = local.domainSettings["www.youtube.com"];
+  assert.strictEqual(stored.speed, 2);
+  assert.strictEqual(stored.nightMode, true);
+  assert.strictEqual(stored.pitchSemitones, 2);
+  assert.deepStrictEqual([...stored.eqGains], eqGains);
+});
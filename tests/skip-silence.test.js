@@ -0,0 +1,128 @@
+// Skip silence: when quiet playback counts as silence and how fast it is skipped: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("site-adapters.js")}\n${read("content.js")}`;
+
+/**
+ * The content scripts in a jsdom page, as a frame whose background script has
+ * no settings for it, so nothing is applied until a test says so.
+ */
+function loadContent() {
+  const dom = new JSDOM("<!doctype html><video></video>", { url: "https://example.com/", runScripts: "outside-only" });
+  const listener = { addListener() {} };
+  dom.window.browser = {
+    runtime: { sendMessage: async () => undefined, onMessage: listener },
+    storage: { onChanged: listener },
+  };
+  const context = dom.getInternalVMContext();
+  const api = vm.runInContext(
+    `${SOURCE}
+;({
+  stepSilenceSkip,
+  silenceSkipRate,
+  silenceSkip,
+  audioEngine,
+  sanitizeSettings,
+  DEFAULTS,
+  // What SSE_APPLY would have left in place, without building an audio graph.
+  useSettings: (settings) => {
+    currentSettings = settings;
+  },
+});`,
+    context,
+  );
+  const video = dom.window.document.querySelector("video");
+  Object.defineProperty(video, "paused", { value: false });
+  // A pipeline whose analyser hears a steady level, in dBFS.
+  const input = { levelDb: -Infinity };
+  api.audioEngine.pipelines.set(video, {
+    analyser: {
+      fftSize: 32,
+      getFloatTimeDomainData(buf) {
+        buf.fill(input.levelDb === -Infinity ? 0 : 10 ** (input.levelDb / 20));
+      },
+    },
+  });
+  const settings = (raw) => {
+    const next = api.sanitizeSettings({ ...api.DEFAULTS, skipSilence: true, ...raw }, false);
+    api.useSettings(next);
+    return next;
+  };
+  return { ...api, video, input, settings };
+}
+
+/** Run the skipper every 50 ms from `from` for `ms`; returns when it stopped. */
+function run(content, settings, from, ms) {
+  let now = from;
+  for (; now < from + ms; now += 50) content.stepSilenceSkip(content.video, settings, now);
+  return now;
+}
+
+test("the skip rate is at least 4× and twice a faster speed, up to 16×", () => {
+  const { silenceSkipRate } = loadContent();
+  assert.strictEqual(silenceSkipRate(1), 4);
+  assert.strictEqual(silenceSkipRate(3), 6);
+  assert.strictEqual(silenceSkipRate(10), 16);
+});
+
+test("silence is skipped once it has lasted the minimum gap", () => {
+  const content = loadContent();
+  const settings = content.settings({ speed: 1.5, silenceThresholdDb: -50, silenceMinGapMs: 500 });
+  content.video.playbackRate = 1.5;
+
+  content.input.levelDb = -20;
+  let now = run(content, settings, 0, 200);
+  content.input.levelDb = -60;
+  now = run(content, settings, now, 450);
+  assert.strictEqual(content.video.playbackRate, 1.5);
+  now = run(content, settings, now, 100);
+  assert.strictEqual(content.video.playbackRate, 4);
+
+  // Sound back over the threshold ends the skip.
+  content.input.levelDb = -45;
+  run(content, settings, now, 50);
+  assert.strictEqual(content.video.playbackRate, 1.5);
+});
+
+test("the threshold decides what counts as silence", () => {
+  const content = loadContent();
+  content.video.playbackRate = 1;
+  content.input.levelDb = -10;
+  run(content, content.settings({ silenceThresholdDb: -30 }), 0, 100);
+
+  content.input.levelDb = -40;
+  run(content, content.settings({ silenceThresholdDb: -50, silenceMinGapMs: 100 }), 100, 1000);
+  assert.strictEqual(content.video.playbackRate, 1);
+  run(content, content.settings({ silenceThresholdDb: -30, silenceMinGapMs: 100 }), 1100, 300);
+  assert.strictEqual(content.video.playbackRate, 4);
+});
+
+test("media never heard isn't skipped, as cross-origin audio reads as silence", () => {
+  const content = loadContent();
+  content.video.playbackRate = 1;
+  run(content, content.settings({ silenceMinGapMs: 100 }), 0, 2000);
+  assert.strictEqual(content.video.playbackRate, 1);
+  assert.strictEqual(content.silenceSkip.sessionMs, 0);
+});
+
+test("time saved is the playback skipped past, less what a normal speed would cover", () => {
+  const content = loadContent();
+  const settings = content.settings({ speed: 1, silenceThresholdDb: -50, silenceMinGapMs: 100 });
+  content.input.levelDb = -20;
+  let now = run(content, settings, 0, 100);
+  content.input.levelDb = -60;
+  now = run(content, settings, now, 150);
+  assert.strictEqual(content.video.playbackRate, 4);
+  const before = content.silenceSkip.sessionMs;
+  run(content, settings, now, 1000);
+  // A second at 4× instead of 1× skips three seconds of silence.
+  assert.ok(Math.abs(content.silenceSkip.sessionMs - before - 3000) < 1e-6);
+});
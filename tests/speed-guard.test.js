@@ -0,0 +1,134 @@
+// The speed guard: putting back rates a player changes, and giving up on one that keeps fighting: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("site-adapters.js")}\n${read("content.js")}`;
+
+/**
+ * The content scripts in a jsdom page with one guarded <video> that should play
+ * at `speed`, on a clock the tests move by hand. jsdom pages are hidden, so the
+ * guard's "next frame" is a zero-delay timeout.
+ */
+function loadContent(speed) {
+  const dom = new JSDOM("<!doctype html><video></video>", { url: "https://example.com/", runScripts: "outside-only" });
+  const listener = { addListener() {} };
+  const clock = { now: 0 };
+  dom.window.browser = {
+    runtime: { sendMessage: async () => undefined, onMessage: listener },
+    storage: { onChanged: listener },
+  };
+  Object.defineProperty(dom.window, "performance", { value: { now: () => clock.now } });
+  const api = vm.runInContext(
+    `${SOURCE}
+;({
+  guardMediaSpeed,
+  applySettingsToMedia,
+  mediaControl,
+  mediaIdFor,
+  sanitizeSettings,
+  DEFAULTS,
+  SPEED_GUARD_MAX_RESETS,
+  SPEED_GUARD_WINDOW_MS,
+  // What SSE_APPLY would have left in place, without building an audio graph.
+  useSettings: (settings) => {
+    currentSettings = sanitizeSettings({ ...DEFAULTS, ...settings }, false);
+  },
+});`,
+    dom.getInternalVMContext(),
+  );
+  const { document, Event } = dom.window;
+  const video = document.querySelector("video");
+  api.useSettings({ speed });
+  video.playbackRate = speed;
+  api.guardMediaSpeed(video);
+  const fire = (type) => video.dispatchEvent(new Event(type));
+  return { ...api, video, clock, fire };
+}
+
+/** Let the guard's pending corrections run. */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+/**
+ * A player that puts its own rate back whenever it changes, `times` times.
+ * Returns how often it had to.
+ */
+function fightingPlayer(video, rate, times) {
+  let fights = 0;
+  video.addEventListener("ratechange", () => {
+    if (video.playbackRate !== rate && fights < times) {
+      fights++;
+      video.playbackRate = rate;
+    }
+  });
+  return () => fights;
+}
+
+test("a rate the player sets is put back", async () => {
+  const content = loadContent(2);
+  content.video.playbackRate = 1;
+  await settle();
+  assert.strictEqual(content.video.playbackRate, 2);
+  assert.strictEqual(content.video.defaultPlaybackRate, 2);
+});
+
+test("a player that keeps undoing the speed gets the last word after ten resets", async () => {
+  const content = loadContent(2);
+  const fights = fightingPlayer(content.video, 1, 100);
+  content.video.playbackRate = 1;
+  for (let i = 0; i < 30; i++) await settle();
+  assert.strictEqual(content.video.playbackRate, 1);
+  // It undid each of the guard's corrections, then the guard stood down.
+  assert.strictEqual(fights(), content.SPEED_GUARD_MAX_RESETS);
+});
+
+test("the guard tries again once the window has passed", async () => {
+  const content = loadContent(2);
+  fightingPlayer(content.video, 1, content.SPEED_GUARD_MAX_RESETS + 1);
+  content.video.playbackRate = 1;
+  for (let i = 0; i < 30; i++) await settle();
+  assert.strictEqual(content.video.playbackRate, 1);
+
+  content.clock.now += content.SPEED_GUARD_WINDOW_MS + 1;
+  content.fire("play");
+  await settle();
+  assert.strictEqual(content.video.playbackRate, 2);
+});
+
+test("a new source starts with a clean slate", async () => {
+  const content = loadContent(2);
+  fightingPlayer(content.video, 1, content.SPEED_GUARD_MAX_RESETS + 1);
+  content.video.playbackRate = 1;
+  for (let i = 0; i < 30; i++) await settle();
+  assert.strictEqual(content.video.playbackRate, 1);
+
+  // Same window, but the element was emptied for another video.
+  content.fire("emptied");
+  await settle();
+  assert.strictEqual(content.video.playbackRate, 2);
+});
+
+test("with siteSpeedWins the player's rate stands", async () => {
+  const content = loadContent(2);
+  content.useSettings({ speed: 2, siteSpeedWins: true });
+  content.video.playbackRate = 1.25;
+  await settle();
+  assert.strictEqual(content.video.playbackRate, 1.25);
+});
+
+test("excluded media keeps the rate the page gives it", async () => {
+  const content = loadContent(2);
+  content.mediaControl.excluded.add(content.mediaIdFor(content.video));
+  content.useSettings({ speed: 3 });
+  await content.applySettingsToMedia(content.video, content.sanitizeSettings({ ...content.DEFAULTS, speed: 3 }, false));
+  assert.strictEqual(content.video.playbackRate, 2);
+  content.video.playbackRate = 1.25;
+  await settle();
+  assert.strictEqual(content.video.playbackRate, 1.25);
+});
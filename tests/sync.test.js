@@ -0,0 +1,180 @@
+// Sync between devices: last-writer-wins merging, deletions, and chunked storage.sync items: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("sync.js")}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function area(data) {
+  return {
+    async get(keys) {
+      if (keys === null) return structuredClone(data);
+      const out = {};
+      for (const key of [].concat(keys)) if (key in data) out[key] = structuredClone(data[key]);
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+  };
+}
+
+/**
+ * One device: shared.js and sync.js over its own storage.local and the
+ * storage.sync it shares with the others. Syncs run when the test says so, on
+ * the shared clock; the debounce timer never fires by itself.
+ */
+function device(name, sync, clock, local = {}) {
+  const browser = {
+    storage: { local: area({ syncEnabled: true, ...local }), sync: area(sync), onChanged: { addListener() {} } },
+  };
+  const context = vm.createContext({
+    browser,
+    Date: class extends Date {
+      static now() {
+        return clock.now;
+      }
+    },
+    setTimeout: () => 1,
+    clearTimeout: () => {},
+    asObject: (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {}),
+    readLocal: (keys) => browser.storage.local.get(keys),
+    enqueueWrite: (fn) => fn(),
+    getDeviceId: async () => name,
+    ready: new Promise(() => {}),
+  });
+  const api = vm.runInContext(
+    `${SOURCE}\n;({ writeSyncedData, runSync, getSyncStatus, mergeEntries, compactEntries, chunkString, SYNC_ITEM_MAX_BYTES });`,
+    context,
+  );
+  const rules = async () => (await browser.storage.local.get("domainSettings")).domainSettings ?? {};
+  const setRules = async (change) => api.writeSyncedData({ domainSettings: change({ ...(await rules()) }) });
+  return { ...api, rules, setRules };
+}
+
+function twoDevices() {
+  const sync = {};
+  const clock = { now: 1_700_000_000_000 };
+  return { sync, clock, a: device("device-a", sync, clock), b: device("device-b", sync, clock) };
+}
+
+test("the later edit to a rule wins on both devices", async () => {
+  const { clock, a, b } = twoDevices();
+  await a.setRules((r) => ({ ...r, "example.com": { speed: 1.5 } }));
+  await a.runSync();
+  await b.runSync();
+  assert.strictEqual((await b.rules())["example.com"].speed, 1.5);
+
+  clock.now += 1000;
+  await a.setRules((r) => ({ ...r, "example.com": { speed: 2 } }));
+  clock.now += 1000;
+  await b.setRules((r) => ({ ...r, "example.com": { speed: 3 } }));
+  // A pushes first, but B's edit is newer.
+  await a.runSync();
+  await b.runSync();
+  await a.runSync();
+  assert.strictEqual((await a.rules())["example.com"].speed, 3);
+  assert.strictEqual((await b.rules())["example.com"].speed, 3);
+});
+
+test("a deleted rule stays deleted unless it's edited afterwards", async () => {
+  const { clock, a, b } = twoDevices();
+  await a.setRules(() => ({ "example.com": { speed: 1.5 }, "example.org": { speed: 2 } }));
+  await a.runSync();
+  await b.runSync();
+
+  clock.now += 1000;
+  await a.setRules(({ "example.com": _, ...rest }) => rest);
+  await a.runSync();
+  await b.runSync();
+  assert.deepStrictEqual(Object.keys(await b.rules()), ["example.org"]);
+
+  // B still has the deletion's stamp, so syncing again doesn't bring the rule back to A.
+  await a.runSync();
+  assert.deepStrictEqual(Object.keys(await a.rules()), ["example.org"]);
+
+  clock.now += 1000;
+  await b.setRules((r) => ({ ...r, "example.com": { speed: 4 } }));
+  await b.runSync();
+  await a.runSync();
+  assert.strictEqual((await a.rules())["example.com"].speed, 4);
+});
+
+test("entries with the same stamp settle on one value whichever side merges", () => {
+  const { a } = twoDevices();
+  const mine = { "d:example.com": [5, { speed: 2 }] };
+  const theirs = { "d:example.com": [5, { speed: 3 }] };
+  assert.deepStrictEqual(a.mergeEntries(mine, theirs), a.mergeEntries(theirs, mine));
+});
+
+test("old deletions are dropped, then the oldest ones until the payload fits", () => {
+  const { clock, a } = twoDevices();
+  const entries = {
+    "d:kept.example": [clock.now - 90 * DAY_MS, { speed: 2 }],
+    "d:recent.example": [clock.now - DAY_MS, null],
+    "d:ancient.example": [clock.now - 90 * DAY_MS, null],
+  };
+  assert.deepStrictEqual(Object.keys(a.compactEntries(entries)).sort(), ["d:kept.example", "d:recent.example"]);
+
+  const crowded = {};
+  for (let i = 0; i < 3000; i++) crowded[`d:site-${i}.example`] = [clock.now - i * 1000, null];
+  crowded["d:kept.example"] = [1, { speed: 2 }];
+  const compacted = a.compactEntries(crowded);
+  assert.ok(JSON.stringify(compacted).length <= 76 * 1024);
+  assert.ok(compacted["d:kept.example"]);
+  assert.ok(compacted["d:site-0.example"], "the newest deletions are kept");
+  assert.strictEqual(compacted["d:site-2999.example"], undefined);
+});
+
+test("a large payload is split into items under the per-item limit and read back whole", async () => {
+  const { sync, clock, a, b } = twoDevices();
+  const rules = {};
+  // Well past one 8 KB item once compacted.
+  for (let i = 0; i < 400; i++) rules[`site-${i}.example`] = { speed: 1 + (i % 10) / 10, eqGains: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10] };
+  await a.setRules(() => rules);
+  await a.runSync();
+
+  const chunks = Object.keys(sync).filter((key) => key.startsWith("sse_sync_"));
+  assert.ok(chunks.length > 1);
+  for (const key of chunks) assert.ok(key.length + JSON.stringify(sync[key]).length <= a.SYNC_ITEM_MAX_BYTES, key);
+  assert.strictEqual(sync.sse_sync.n, chunks.length);
+
+  await b.runSync();
+  assert.deepStrictEqual(Object.keys(await b.rules()).sort(), Object.keys(rules).sort());
+  assert.strictEqual((await b.getSyncStatus()).error, null);
+
+  // A smaller payload leaves no stale chunks behind.
+  clock.now += 1000;
+  await a.setRules(() => ({ "example.com": { speed: 2 } }));
+  await a.runSync();
+  const left = Object.keys(sync).filter((key) => key.startsWith("sse_sync_"));
+  assert.ok(left.length < chunks.length);
+  assert.deepStrictEqual(left, Array.from({ length: sync.sse_sync.n }, (_, i) => `sse_sync_${i}`));
+});
+
+test("escape-heavy text is chunked by its stored size", () => {
+  const { a } = twoDevices();
+  const text = '"\\'.repeat(10000);
+  const chunks = a.chunkString(text, "sse_sync_000");
+  assert.strictEqual(chunks.join(""), text);
+  for (const chunk of chunks) assert.ok(JSON.stringify(chunk).length + "sse_sync_000".length + 4 <= a.SYNC_ITEM_MAX_BYTES);
+});
+
+test("a payload from a newer version pauses sync instead of merging it", async () => {
+  const { sync, a } = twoDevices();
+  await a.setRules(() => ({ "example.com": { speed: 2 } }));
+  sync.sse_sync = { v: 99, n: 0, len: 0 };
+  await a.runSync();
+  assert.match((await a.getSyncStatus()).error, /newer version/);
+  assert.deepStrictEqual(sync, { sse_sync: { v: 99, n: 0, len: 0 } });
+});
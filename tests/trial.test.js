@@ -0,0 +1,144 @@
+// The trial record's HMAC, its ledger and the IndexedDB marker against edits, deletes and rollbacks: npm test
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { IDBFactory } = require("fake-indexeddb");
+
+const read = (name) => fs.readFileSync(path.join(__dirname, "../sonicspeed-enhancer", name), "utf8");
+const SOURCE = `${read("shared.js")}\n${read("trial.js")}`;
+
+const MINUTE_MS = 60 * 1000;
+
+function area(data) {
+  return {
+    async get(keys) {
+      const out = {};
+      for (const key of [].concat(keys)) if (key in data) out[key] = data[key];
+      return out;
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    },
+  };
+}
+
+/**
+ * A browser profile: storage.local, storage.sync and IndexedDB, plus a clock the
+ * tests move by hand. Each `start()` loads shared.js and trial.js afresh over it,
+ * like a background script starting up.
+ */
+function profile(local = {}) {
+  const clock = { now: 1_700_000_000_000 };
+  const browser = { storage: { local: area(local), sync: area({}) } };
+  const indexedDB = new IDBFactory();
+  const start = () => {
+    const context = vm.createContext({
+      browser,
+      indexedDB,
+      crypto: globalThis.crypto,
+      btoa,
+      atob,
+      TextEncoder,
+      Date: class extends Date {
+        static now() {
+          return clock.now;
+        }
+      },
+      asObject: (value) => (value && typeof value === "object" && !Array.isArray(value) ? value : {}),
+      readLocal: (keys) => browser.storage.local.get(keys),
+      enqueueWrite: (fn) => fn(),
+      base64UrlToBytes: (str) => Uint8Array.from(Buffer.from(str, "base64url")),
+    });
+    return vm.runInContext(`${SOURCE}\n;({ getTrialState, startTrial, addTrialUsage, TRIAL_DURATION_MS });`, context);
+  };
+  return { local, clock, start };
+}
+
+/** Report `ms` of playback in 15 s steps, as content scripts do. */
+async function play(trial, clock, ms) {
+  for (let left = ms; left > 0; left -= 15000) {
+    clock.now += 15000;
+    await trial.addTrialUsage(Math.min(15000, left));
+  }
+}
+
+test("a started trial counts playback and can't be started twice", async () => {
+  const { local, clock, start } = profile();
+  const trial = start();
+  assert.strictEqual((await trial.getTrialState()).used, false);
+  assert.strictEqual((await trial.startTrial()).ok, true);
+  await play(trial, clock, 2 * MINUTE_MS);
+  const state = await trial.getTrialState();
+  assert.strictEqual(state.usedMs, 2 * MINUTE_MS);
+  assert.strictEqual(state.remainingMs, trial.TRIAL_DURATION_MS - 2 * MINUTE_MS);
+  assert.strictEqual((await trial.startTrial()).reason, "used");
+  // The secret that signs the record isn't kept next to it.
+  assert.strictEqual("trialSecret" in local, false);
+});
+
+test("deleting the record and its ledger doesn't free a new trial", async () => {
+  const { local, clock, start } = profile();
+  let trial = start();
+  await trial.startTrial();
+  await play(trial, clock, MINUTE_MS);
+  delete local.trial;
+  delete local.trialLedger;
+
+  trial = start();
+  const state = await trial.getTrialState();
+  assert.strictEqual(state.used, true);
+  assert.strictEqual(state.remainingMs, 0);
+  assert.strictEqual((await trial.startTrial()).reason, "used");
+});
+
+test("an edited record counts as used up", async () => {
+  const { local, clock, start } = profile();
+  const trial = start();
+  await trial.startTrial();
+  await play(trial, clock, 5 * MINUTE_MS);
+  local.trial.usedMs = 0;
+  const state = await trial.getTrialState();
+  assert.strictEqual(state.record, null);
+  assert.strictEqual(state.remainingMs, 0);
+});
+
+test("an old copy written back counts as used up", async () => {
+  const { local, clock, start } = profile();
+  let trial = start();
+  await trial.startTrial();
+  const early = structuredClone(local.trial);
+  await play(trial, clock, 3 * MINUTE_MS);
+
+  local.trial = structuredClone(early);
+  assert.strictEqual((await trial.getTrialState()).remainingMs, 0);
+
+  // After a restart the ledger, a few minutes further along, gives it away.
+  trial = start();
+  local.trial = structuredClone(early);
+  assert.strictEqual((await trial.getTrialState()).remainingMs, 0);
+});
+
+test("a secret left in storage.local by an earlier version still verifies its record", async () => {
+  const secret = Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString("base64url");
+  const { local, clock, start } = profile({ trialSecret: secret });
+
+  // Sign a record with the old secret the way that version did.
+  const key = await crypto.subtle.importKey("raw", Buffer.from(secret, "base64url"), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const record = { startedAt: clock.now, usedMs: MINUTE_MS, counter: 1, ack: false };
+  const input = new TextEncoder().encode(`${record.startedAt}|${record.usedMs}|${record.counter}|0`);
+  record.mac = Buffer.from(await crypto.subtle.sign("HMAC", key, input)).toString("base64url");
+  local.trial = record;
+
+  const trial = start();
+  const state = await trial.getTrialState();
+  assert.strictEqual(state.usedMs, MINUTE_MS);
+  assert.notStrictEqual(state.record, null);
+  assert.strictEqual("trialSecret" in local, false);
+});
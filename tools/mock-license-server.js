@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+// Local stand-in for the license server, for testing activation without the real
+// one. Node built-ins only:
+//
+//   node tools/mock-license-server.js [port]
+//
+// then set Options → License server to http://localhost:8787 (the default port)
+// and load the extension from about:debugging, which is the only way it trusts
+// the development key below. Tokens it issues never unlock a packaged install.
+//
+// Keys: DEMO-PRO1-0001 (1 seat), DEMO-TEAM-0003 (3 seats), DEMO-EXPD-0001
+// (expired), DEMO-RVKD-0001 (revoked). POST /admin/revoke { key } revokes any
+// key while the server runs, so the next /validate drops the license.
+// To mint an offline token: node tools/mock-license-server.js --token <email> [days]
+
+"use strict";
+
+const http = require("http");
+const crypto = require("crypto");
+
+// Development signing key. The public half is LICENSE_DEV_PUBLIC_KEY in license.js.
+const DEV_PRIVATE_JWK = {
+  kty: "EC",
+  crv: "P-256",
+  x: "Bfv-sn57-HWTZbMt3EpLeM-vhHr7eP5HuzI6c02JTFQ",
+  y: "lGY86xhXFsxPhDiCp_igXsHzR0KJlj7DFFswUks7r7Q",
+  d: "in-xCKEXp_1r1h7v378X1UO9COF-QRCMzg1IioKyDqc",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const KEYS = new Map([
+  ["DEMO-PRO1-0001", { email: "solo@example.com", seats: 1, exp: null }],
+  ["DEMO-TEAM-0003", { email: "team@example.com", seats: 3, exp: Date.now() + 365 * DAY_MS }],
+  ["DEMO-EXPD-0001", { email: "old@example.com", seats: 1, exp: Date.now() - DAY_MS }],
+  ["DEMO-RVKD-0001", { email: "gone@example.com", seats: 1, exp: null, revoked: true }],
+]);
+
+// key → Set of device ids holding a seat.
+const activations = new Map();
+
+const privateKey = crypto.createPrivateKey({ key: DEV_PRIVATE_JWK, format: "jwk" });
+
+function base64Url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function signToken(payload) {
+  const body = `SSE1.${base64Url(JSON.stringify(payload))}`;
+  const sig = crypto.sign("sha256", Buffer.from(body), { key: privateKey, dsaEncoding: "ieee-p1363" });
+  return `${body}.${base64Url(sig)}`;
+}
+
+function issueToken(key, license, device) {
+  return signToken({
+    lid: crypto.createHash("sha256").update(key).digest("hex").slice(0, 16),
+    email: license.email,
+    seats: license.seats,
+    iat: Date.now(),
+    exp: license.exp,
+    device,
+    mode: "online",
+  });
+}
+
+/** The key a token was issued for, found by its license id. */
+function keyForToken(token) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(token).split(".")[1], "base64url").toString("utf8"));
+    for (const key of KEYS.keys()) {
+      if (crypto.createHash("sha256").update(key).digest("hex").slice(0, 16) === payload.lid) return key;
+    }
+  } catch {
+    // ignore
+  }
+  return null;
+}
+
+const routes = {
+  "/activate"({ key, device }) {
+    const license = KEYS.get(String(key ?? ""));
+    if (!license || typeof device !== "string") return [404, { error: "invalid_key" }];
+    if (license.revoked) return [403, { error: "revoked" }];
+    if (license.exp !== null && license.exp <= Date.now()) return [403, { error: "expired" }];
+    const devices = activations.get(key) ?? new Set();
+    if (!devices.has(device) && devices.size >= license.seats) return [409, { error: "seats" }];
+    devices.add(device);
+    activations.set(key, devices);
+    return [200, { token: issueToken(key, license, device) }];
+  },
+
+  "/validate"({ token, device }) {
+    const key = keyForToken(token);
+    const license = key && KEYS.get(key);
+    if (!license) return [403, { error: "invalid_key" }];
+    if (license.revoked) return [410, { error: "revoked" }];
+    if (!(activations.get(key) ?? new Set()).has(device)) return [403, { error: "not_activated" }];
+    // Hand back a fresh token so renewals and seat changes reach the extension.
+    return [200, { token: issueToken(key, license, device) }];
+  },
+
+  "/deactivate"({ token, device }) {
+    const key = keyForToken(token);
+    if (key) activations.get(key)?.delete(device);
+    return [200, {}];
+  },
+
+  "/admin/revoke"({ key }) {
+    const license = KEYS.get(String(key ?? ""));
+    if (!license) return [404, { error: "invalid_key" }];
+    license.revoked = true;
+    return [200, {}];
+  },
+};
+
+function serve(port) {
+  const server = http.createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method === "OPTIONS") return send(204, {});
+    // Mounted at the root and under /v1, like the real endpoint.
+    const route = routes[new URL(req.url, "http://localhost").pathname.replace(/^\/v1(?=\/)/, "")];
+    if (req.method !== "POST" || !route) return send(404, { error: "not_found" });
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      let body;
+      try {
+        body = JSON.parse(raw || "{}");
+      } catch {
+        return send(400, { error: "bad_json" });
+      }
+      const [status, data] = route(body ?? {});
+      console.log(`${req.url} → ${status}${data.error ? ` ${data.error}` : ""}`);
+      send(status, data);
+    });
+  });
+  server.listen(port, "127.0.0.1", () => {
+    console.log(`Mock license server on http://localhost:${port}`);
+  });
+  return server;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args[0] === "--token") {
+    const days = Number(args[2]);
+    console.log(signToken({
+      lid: `offline-${crypto.randomBytes(4).toString("hex")}`,
+      email: args[1] || "offline@example.com",
+      seats: 1,
+      iat: Date.now(),
+      exp: Number.isFinite(days) && days > 0 ? Date.now() + days * DAY_MS : null,
+      mode: "offline",
+    }));
+  } else {
+    serve(Number(args[0]) || 8787);
+  }
+}
+
+module.exports = { serve, signToken };